@@ -1,524 +1,663 @@
-(() => {
-    'use strict';
-
-    const canvas = document.getElementById('game');
-    canvas.style.zIndex = '200';
-    const ctx = canvas.getContext('2d', { alpha: false, desynchronized: true });
-    // Offscreen ink layer (black) we will erase to reveal red base
-    let inkCanvas = document.createElement('canvas');
-    let inkCtx = inkCanvas.getContext('2d', { alpha: true, willReadFrequently: true });
-    // Timestamp canvas to track when each pixel was last revealed
-    let timestampCanvas = document.createElement('canvas');
-    let timestampCtx = timestampCanvas.getContext('2d', { alpha: false });
-
-    // Load player icon image
-    const playerIcon = new Image();
-    playerIcon.src = 'nectar-preview.png';
-
-    function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
-
-    class Vec2 {
-        constructor(x = 0, y = 0) { this.x = x; this.y = y; }
-        set(x, y) { this.x = x; this.y = y; return this; }
-        copy(v) { this.x = v.x; this.y = v.y; return this; }
-        add(v) { this.x += v.x; this.y += v.y; return this; }
-        scale(s) { this.x *= s; this.y *= s; return this; }
-        len() { return Math.hypot(this.x, this.y); }
-        normalize() { const l = this.len(); if (l > 0) { this.x /= l; this.y /= l; } return this; }
-        clone() { return new Vec2(this.x, this.y); }
-    }
-
-    const state = { size: { w: 0, h: 0, dpr: 1 } };
-
-    function resize() {
-        const dpr = Math.min(1.5, window.devicePixelRatio || 1); // Cap for performance
-        const cw = Math.floor(window.innerWidth);
-        const ch = Math.floor(window.innerHeight);
-        canvas.style.width = cw + 'px';
-        canvas.style.height = ch + 'px';
-        canvas.width = Math.floor(cw * dpr);
-        canvas.height = Math.floor(ch * dpr);
-        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        state.size.w = cw; state.size.h = ch; state.size.dpr = dpr;
-
-        // Prepare ink layer sized to canvas, filled black
-        inkCanvas.width = canvas.width;
-        inkCanvas.height = canvas.height;
-        inkCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        inkCtx.clearRect(0, 0, cw, ch);
-        inkCtx.fillStyle = '#000';
-        inkCtx.fillRect(0, 0, cw, ch);
-
-        // Prepare timestamp canvas
-        timestampCanvas.width = canvas.width;
-        timestampCanvas.height = canvas.height;
-        timestampCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
-        timestampCtx.fillStyle = '#000';
-        timestampCtx.fillRect(0, 0, cw, ch);
-    }
-    window.addEventListener('resize', resize, { passive: true });
-    resize();
-
-    // Prevent text selection on all touch/mouse events
-    document.addEventListener('selectstart', (e) => e.preventDefault());
-    document.addEventListener('contextmenu', (e) => e.preventDefault());
-
-    class Input {
-        constructor() {
-            this.keys = new Set();
-            this.pointerActive = false;
-            this.pointerPos = new Vec2();
-            this._bind();
+import { clamp } from './src/vec2.js';
+import { loadConfig } from './src/config.js';
+import { Input, InputFrame } from './src/input.js';
+import { Player } from './src/player.js';
+import { InkLayer } from './src/ink.js';
+import { layoutText, textBounds, wordBoxes, buildRevealMask, measureReveal } from './src/text.js';
+import { ScratchOff, SIM_STEP, REVEAL_THRESHOLD } from './src/scratch-off.js';
+import { RevealSequence } from './src/sequence.js';
+import { PhaseMachine } from './src/phases.js';
+import { SoundEffects } from './src/audio.js';
+import { parseDuration, formatDuration, TrackQueue } from './src/tracks.js';
+import { TrackPlayer } from './src/track-player.js';
+import { World, Collectible, createEntities } from './src/entities.js';
+import { ChallengeRun, Leaderboard } from './src/challenge.js';
+import { CoopSession } from './src/coop.js';
+import { resolveTheme, isLightTheme, hexDigits } from './src/theme.js';
+import { validateDiscography } from './src/discography.js';
+import { Progress } from './src/progress.js';
+import { parseRoute, routeHash } from './src/routes.js';
+
+const canvas = document.getElementById('game');
+canvas.style.zIndex = '200';
+const ctx = canvas.getContext('2d', { alpha: false, desynchronized: true });
+
+const state = { size: { w: 0, h: 0, dpr: 1 } };
+const config = loadConfig({ search: window.location.search, overrides: window.FNGRNCTR_CONFIG, origin: window.location.origin });
+// Visitors who ask for reduced motion get no idle jiggle or album orbit, and start muted
+const reducedMotion = Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+function labelCanvas() {
+    canvas.setAttribute('aria-label', `Scratch-off hiding the words "${config.phrase.lines.join(' ')}". ` +
+        'Drag or use the arrow keys to uncover them, or use the skip link to go straight to the albums.');
+}
+labelCanvas();
+// Challenge mode (?challenge): timed levels, each with its own phrase, re-ink speed and brush
+const challenge = config.challenge.enabled ? new ChallengeRun(config.challenge.levels) : null;
+
+// Offscreen ink layer (in the theme's ink color) we will erase to reveal the text. Its re-ink fade runs in
+// src/reink-worker.js when a module worker can be started.
+const ink = new InkLayer(document.createElement('canvas'), state.size,
+    () => new Worker(new URL('./src/reink-worker.js', import.meta.url), { type: 'module' }));
+
+// How the last resize moved the phrase: points scale by k about the old and new screen centers.
+// When the lines wrapped differently, words moved on their own: each word's box maps onto its new
+// box instead (words, pairs of { from, to } boxes). Ink, reveal ages and the player follow it so
+// partial reveals stay over the same letters.
+let layoutShift = null;
+
+const inBox = (box, x, y) => x >= box.x && x < box.x + box.w && y >= box.y && y < box.y + box.h;
+
+function toCurrentLayout(x, y) {
+    if (!layoutShift) return { x, y };
+    const { k, from, to, words } = layoutShift;
+    const word = words && words.find((pair) => inBox(pair.from, x, y));
+    if (word) return { x: word.to.x + (x - word.from.x) * k, y: word.to.y + (y - word.from.y) * k };
+    return { x: to.x + (x - from.x) * k, y: to.y + (y - from.y) * k };
+}
+
+// Copy of the ink layer with its alpha inverted, i.e. opaque where the ink has been scratched off
+function scratchedInk() {
+    const copy = document.createElement('canvas');
+    copy.width = ink.canvas.width;
+    copy.height = ink.canvas.height;
+    const copyCtx = copy.getContext('2d');
+    copyCtx.drawImage(ink.canvas, 0, 0);
+    copyCtx.globalCompositeOperation = 'xor';
+    copyCtx.fillStyle = '#000';
+    copyCtx.fillRect(0, 0, copy.width, copy.height);
+    return copy;
+}
+
+function resize() {
+    const dpr = Math.min(1.5, window.devicePixelRatio || 1); // Cap for performance
+    const cw = Math.floor(window.innerWidth);
+    const ch = Math.floor(window.innerHeight);
+    // Carry the current reveal over into the new layout (nothing to carry on the first call)
+    const prev = textLayout ? {
+        w: state.size.w, h: state.size.h, dpr: state.size.dpr, fontSize: textLayout.fontSize,
+        lines: textLayout.lines.map((line) => line.text).join('\n'), words: wordBoxes(textLayout, state.size, ctx), scratched: scratchedInk()
+    } : null;
+    canvas.style.width = cw + 'px';
+    canvas.style.height = ch + 'px';
+    canvas.width = Math.floor(cw * dpr);
+    canvas.height = Math.floor(ch * dpr);
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    state.size.w = cw; state.size.h = ch; state.size.dpr = dpr;
+
+    // Prepare ink layer sized to canvas, filled with ink
+    ink.resize();
+
+    relayoutText();
+
+    layoutShift = null;
+    if (!prev) {
+        ink.ages.resize(cw, ch);
+        return;
+    }
+    const k = textLayout.fontSize / prev.fontSize;
+    layoutShift = { k, from: { x: prev.w / 2, y: prev.h / 2 }, to: { x: cw / 2, y: ch / 2 }, words: null };
+    ink.ctx.globalCompositeOperation = 'destination-out';
+    if (textLayout.lines.map((line) => line.text).join('\n') === prev.lines) {
+        // Same lines: the whole screen scales about its center
+        const origin = toCurrentLayout(0, 0);
+        ink.ctx.drawImage(prev.scratched, origin.x, origin.y, prev.w * k, prev.h * k);
+        ink.ages.resize(cw, ch, (x, y) => ({ x: prev.w / 2 + (x - cw / 2) / k, y: prev.h / 2 + (y - ch / 2) / k }));
+    } else {
+        // Rewrapped (e.g. on rotation): carry each word's reveal to where the word went; the rest
+        // of the screen starts over
+        layoutShift.words = wordBoxes(textLayout, state.size, ctx).map((to, i) => ({ from: prev.words[i], to }));
+        layoutShift.words.forEach(({ from, to }) => {
+            ink.ctx.drawImage(prev.scratched, from.x * prev.dpr, from.y * prev.dpr, from.w * prev.dpr, from.h * prev.dpr, to.x, to.y, to.w, to.h);
+        });
+        ink.ages.resize(cw, ch, (x, y) => {
+            const word = layoutShift.words.find((pair) => inBox(pair.to, x, y));
+            return word ? { x: word.from.x + (x - word.to.x) / k, y: word.from.y + (y - word.to.y) / k } : { x: -1, y: -1 };
+        });
+    }
+    ink.ctx.globalCompositeOperation = 'source-over';
+}
+
+// Measured layout of the reveal phrase; recomputed on resize and once a custom font loads
+let textLayout = null;
+let revealMask = null; // Glyph pixels of the laid-out phrase (see buildRevealMask)
+
+function relayoutText() {
+    textLayout = layoutText(ctx, config.phrase, state.size);
+    revealMask = buildRevealMask(textLayout, state.size, ink.canvas, () => document.createElement('canvas'));
+}
+
+async function loadRevealFont() {
+    const face = config.phrase.fontFace;
+    if (!face) return;
+    if (typeof FontFace === 'undefined' || !document.fonts) {
+        console.error('[phrase] FontFace API unavailable; using the fallback font stack');
+        return;
+    }
+    try {
+        const src = /^url\(/.test(face.src) ? face.src : `url(${JSON.stringify(face.src)})`;
+        const font = await new FontFace(face.family, src, face.descriptors || {}).load();
+        document.fonts.add(font);
+        relayoutText();
+    } catch (err) {
+        console.error(`[phrase] Failed to load font "${face.family}" from ${face.src}:`, err);
+    }
+}
+
+window.addEventListener('resize', resize, { passive: true });
+resize();
+loadRevealFont();
+
+// Keep long presses and drags on the game from selecting text or opening the context menu.
+// Panels and the track list stay selectable.
+canvas.addEventListener('selectstart', (e) => e.preventDefault());
+canvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+const input = new Input(canvas);
+const player = new Player(state.size); // Its icon comes with the theme (applyTheme)
+
+// Walls and collectibles from config.entities. Each collectible locks its album's cover until it
+// is picked up; unlocks are remembered in localStorage, and collectibles already picked up stay gone.
+const UNLOCKED_KEY = 'fngrnctr.unlocked';
+const unlockedAlbums = loadUnlocked();
+const world = new World(player, state.size, { onCollect: (entity) => unlockAlbum(entity.album) });
+createEntities(config.entities).forEach((entity) => {
+    if (!(entity instanceof Collectible && unlockedAlbums.has(entity.album))) world.add(entity);
+});
+const lockedAlbums = new Set(world.entities.filter((entity) => entity instanceof Collectible).map((entity) => entity.album));
+
+function loadUnlocked() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(UNLOCKED_KEY));
+        if (Array.isArray(saved)) return new Set(saved);
+    } catch (err) {
+        // Storage disabled or corrupt - nothing unlocked yet
+    }
+    return new Set();
+}
+
+function unlockAlbum(slug) {
+    lockedAlbums.delete(slug);
+    unlockedAlbums.add(slug);
+    // A replayed run doesn't unlock anything for good, as it doesn't count completions
+    if (!replay) {
+        try {
+            localStorage.setItem(UNLOCKED_KEY, JSON.stringify([...unlockedAlbums]));
+        } catch (err) {
+            console.error('[entities] Could not save unlocked albums:', err);
         }
-        _bind() {
-            window.addEventListener('keydown', (e) => {
-                const k = e.code;
-                if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space'].includes(k)) {
-                    this.keys.add(k);
-                    e.preventDefault();
-                }
+    }
+    const index = albums.findIndex((album) => album.slug === slug);
+    if (index !== -1) {
+        albumElements[index].classList.remove('locked');
+        albumElements[index].querySelector('img').alt = albums[index].title;
+    }
+    sound.chime();
+    announce(`${index !== -1 ? albums[index].title : slug} unlocked`);
+}
+// Phase changes are announced on the document as fngrnctr:phase events (see README)
+const phases = new PhaseMachine({ target: document });
+const scratch = new ScratchOff({
+    player,
+    ink,
+    phases,
+    size: state.size,
+    brush: config.brush,
+    getMask: () => revealMask,
+    onMeasure: (stats) => {
+        updateHud();
+        announceProgress(stats);
+    },
+    measureIdle: () => !hud.classList.contains('hidden'),
+    reducedMotion,
+    world,
+    // Levels before the last end in level-clear, moving on to the next
+    revealPhase: () => (challenge && !challenge.isLastLevel ? 'level-clear' : 'revealed-fade'),
+    onStamp: (x, y, radius, softness) => {
+        if (coop) coop.stamp(x, y, radius, softness);
+    }
+});
+const sequence = new RevealSequence(config.afterReveal, phases);
+
+// Set up a challenge level: its phrase, brush and re-ink speed. The ink is left to the caller.
+function applyLevel(level) {
+    config.phrase.lines = level.phrase;
+    scratch.brush = { ...config.brush, ...level.brush }; // Checked in loadConfig
+    ink.fadeDelay = level.fadeDelay;
+    ink.fadeDuration = level.fadeDuration;
+    relayoutText();
+    labelCanvas();
+}
+if (challenge) applyLevel(challenge.level);
+let textYOffset = 0; // Current vertical offset of text
+let stepAccumulator = 0; // Frame time not yet simulated (s)
+let albumsOpacity = 0; // Opacity for album grid fade-in
+let albumsLoaded = 0; // Track how many album images have loaded
+let selectedAlbumIndex = null; // Track which album is currently focused (null = grid view)
+let settledAlbumSlug = null; // Album opened focused when settling (null = grid view)
+
+// Discography is loaded from a versioned manifest (see discography.json), checked by src/discography.js
+const DISCOGRAPHY_URL = 'discography.json';
+let albums = []; // Validated album entries, in display order
+let albumOrbitData = []; // Per-album orbit animation data
+let albumElements = []; // Album link elements, parallel to albums
+
+// Create HTML elements for album art (avoids CORS canvas issues). Screen readers get them as a
+// labelled list once the albums settle.
+const albumContainer = document.createElement('div');
+albumContainer.id = 'album-container';
+albumContainer.setAttribute('role', 'list');
+albumContainer.setAttribute('aria-label', 'Albums');
+albumContainer.setAttribute('aria-hidden', 'true');
+albumContainer.tabIndex = -1; // Focus target for the skip link before the catalog loads
+albumContainer.style.cssText = `
+    position: fixed;
+    top: 0;
+    left: 0;
+    width: 100%;
+    height: 100%;
+    pointer-events: none;
+    z-index: 10;
+    opacity: 0;
+    transition: opacity 0.8s ease;
+`;
+document.body.appendChild(albumContainer);
+
+// Create embedded player container
+const playerContainer = document.createElement('div');
+playerContainer.id = 'player-container';
+playerContainer.style.cssText = `
+    position: fixed;
+    z-index: 12;
+    opacity: 0;
+    pointer-events: none;
+    transition: opacity 0.3s ease;
+`;
+document.body.appendChild(playerContainer);
+
+// Create track list panel shown beside the focused album
+const trackListContainer = document.createElement('div');
+trackListContainer.id = 'track-list';
+trackListContainer.style.cssText = `
+    position: fixed;
+    z-index: 12;
+    opacity: 0;
+    pointer-events: none;
+    transition: opacity 0.3s ease;
+    box-sizing: border-box;
+    overflow-y: auto;
+    padding: 12px 14px;
+    border: 2px solid var(--accent);
+    background: var(--bg);
+    color: var(--text);
+`;
+document.body.appendChild(trackListContainer);
+let trackListAlbumIndex = null; // Album whose tracks are currently rendered in the panel
+
+// In-page player for tracks with an audio source in the manifest, queued across albums. Relative
+// sources resolve against config.tracks.audioBase (a mirror), or the page itself.
+const trackQueue = new TrackQueue();
+const trackPlayerContainer = document.createElement('div');
+document.body.appendChild(trackPlayerContainer);
+const audioBase = new URL(config.tracks.audioBase || '.', document.baseURI);
+const trackPlayer = new TrackPlayer(trackPlayerContainer, {
+    queue: trackQueue,
+    audio: new Audio(),
+    resolve: (src) => new URL(src, audioBase).href,
+    onChange: refreshTrackList
+});
+
+// Keep the play buttons in the track list in step with the player, and keyboard focus on the
+// button that had it
+function refreshTrackList() {
+    if (trackListAlbumIndex === null) return;
+    const buttons = () => Array.from(trackListContainer.querySelectorAll('.track-play'));
+    const focused = buttons().indexOf(document.activeElement);
+    renderTrackList(albums[trackListAlbumIndex]);
+    if (focused !== -1) buttons()[focused].focus();
+}
+
+// Fill the track list panel for an album (numbers, linked titles, durations, total runtime).
+// Tracks the in-page player can play get a play/pause button.
+function renderTrackList(album) {
+    trackListContainer.textContent = '';
+
+    const heading = document.createElement('div');
+    heading.textContent = album.title;
+    heading.style.cssText = 'font-weight: 700; margin-bottom: 8px;';
+    trackListContainer.appendChild(heading);
+
+    const list = document.createElement('ol');
+    list.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+    album.tracks.forEach((track, i) => {
+        const item = document.createElement('li');
+        item.style.cssText = 'display: flex; gap: 8px; padding: 3px 0;';
+
+        const number = document.createElement('span');
+        number.textContent = `${i + 1}.`;
+        number.style.cssText = 'min-width: 1.6em; text-align: right; opacity: 0.6;';
+
+        item.appendChild(number);
+        if (track.audio) {
+            const current = trackQueue.current;
+            const isCurrent = current !== null && current.album.slug === album.slug && current.number === i + 1;
+            const pause = isCurrent && trackPlayer.playing;
+            const play = document.createElement('button');
+            play.type = 'button';
+            play.className = 'track-play';
+            play.textContent = pause ? '❚❚' : '▶';
+            play.setAttribute('aria-label', `${pause ? 'Pause' : 'Play'} ${track.name}`);
+            play.addEventListener('click', () => {
+                if (isCurrent) trackPlayer.toggle();
+                else trackPlayer.playTrack(album.slug, i + 1);
             });
-            window.addEventListener('keyup', (e) => this.keys.delete(e.code));
-
-            const start = (x, y) => { this.pointerActive = true; this.pointerPos.set(x, y); };
-            const move = (x, y) => { if (this.pointerActive) this.pointerPos.set(x, y); };
-            const end = () => { this.pointerActive = false; };
-
-            canvas.addEventListener('pointerdown', (e) => {
-                canvas.setPointerCapture(e.pointerId);
-                start(e.clientX, e.clientY);
-                e.preventDefault();
-            }, { passive: false });
-            canvas.addEventListener('pointermove', (e) => { move(e.clientX, e.clientY); e.preventDefault(); }, { passive: false });
-            canvas.addEventListener('pointerup', (e) => { end(); e.preventDefault(); }, { passive: false });
-            canvas.addEventListener('pointercancel', end);
-        }
-        getAxis() {
-            let x = 0, y = 0;
-            if (this.keys.has('ArrowLeft') || this.keys.has('KeyA')) x -= 1;
-            if (this.keys.has('ArrowRight') || this.keys.has('KeyD')) x += 1;
-            if (this.keys.has('ArrowUp') || this.keys.has('KeyW')) y -= 1;
-            if (this.keys.has('ArrowDown') || this.keys.has('KeyS')) y += 1;
-
-            const k = new Vec2(x, y);
-            if (k.len() > 0) k.normalize();
-            return k;
+            item.appendChild(play);
+            if (isCurrent) item.style.fontWeight = '700';
         }
-        getPointerTarget() {
-            return this.pointerActive ? this.pointerPos.clone() : null;
-        }
-    }
 
-    class Player {
-        constructor() {
-            this.pos = new Vec2(state.size.w / 2, state.size.h / 2);
-            this.vel = new Vec2(0, 0);
-            this.size = 42;
-            this.accel = 1000;   // acceleration toward input direction (px/s^2)
-            this.maxSpeed = 500; // clamp top speed
-            this.drag = 2.5;     // damping coefficient (1/s), lower = more glide
-        }
-        update(dt, input, allowInput = true) {
-            // Check for direct pointer control first
-            const pointerTarget = input.getPointerTarget();
-            if (pointerTarget && allowInput) {
-                // Move player directly to pointer position with smooth interpolation
-                const dx = pointerTarget.x - this.pos.x;
-                const dy = pointerTarget.y - this.pos.y;
-                const distance = Math.hypot(dx, dy);
-
-                if (distance > 1) {
-                    // Smooth follow with velocity for natural motion
-                    const followSpeed = 12; // Higher = snappier follow
-                    this.vel.x = dx * followSpeed;
-                    this.vel.y = dy * followSpeed;
-                } else {
-                    // Close enough, just set position directly
-                    this.pos.copy(pointerTarget);
-                    this.vel.set(0, 0);
-                }
-            } else if (allowInput) {
-                // Keyboard control
-                const dir = input.getAxis();
-                if (dir.len() > 0) {
-                    this.vel.add(dir.clone().scale(this.accel * dt));
-                }
-                // Apply drag using exponential decay for smoother feel
-                const dragFactor = Math.exp(-this.drag * dt);
-                this.vel.scale(dragFactor);
-            } else {
-                // No input allowed, but apply drag to existing velocity
-                const dragFactor = Math.exp(-this.drag * dt);
-                this.vel.scale(dragFactor);
-            }
+        const link = document.createElement('a');
+        link.href = track.url;
+        link.target = '_blank';
+        link.rel = 'noopener';
+        link.textContent = track.name;
+        link.style.cssText = 'flex: 1; color: var(--text); text-decoration: none;';
 
-            // Clamp max speed
-            const speed = this.vel.len();
-            if (speed > this.maxSpeed) {
-                this.vel.scale(this.maxSpeed / speed);
-            }
+        const duration = document.createElement('span');
+        duration.textContent = formatDuration(parseDuration(track.duration));
+        duration.style.cssText = 'opacity: 0.6; font-variant-numeric: tabular-nums;';
 
-            // Integrate position
-            this.pos.add(this.vel.clone().scale(dt));
+        item.append(link, duration);
+        list.appendChild(item);
+    });
+    trackListContainer.appendChild(list);
+
+    const total = album.tracks.reduce((sum, track) => sum + parseDuration(track.duration), 0);
+    const footer = document.createElement('div');
+    footer.textContent = `${album.tracks.length} ${album.tracks.length === 1 ? 'track' : 'tracks'}, ${formatDuration(total)}`;
+    footer.style.cssText = 'margin-top: 8px; padding-top: 8px; border-top: 1px solid color-mix(in srgb, var(--text) 30%, transparent); opacity: 0.8;';
+    trackListContainer.appendChild(footer);
+}
+
+function createAlbumElement(album, i) {
+    const link = document.createElement('a');
+    link.href = album.url;
+    link.target = '_blank';
+    link.style.cssText = `
+        position: absolute;
+        cursor: pointer;
+        transition: all 0.4s ease;
+        border: 2px solid var(--accent);
+        z-index: ${10 + i};
+        pointer-events: ${phases.settled ? 'auto' : 'none'};
+    `;
+    link.tabIndex = phases.settled ? 0 : -1; // Only reachable by Tab once the albums settle
 
-            const half = this.size / 2;
-            this.pos.x = clamp(this.pos.x, half, state.size.w - half);
-            this.pos.y = clamp(this.pos.y, half, state.size.h - half);
+    // Click handler to focus/unfocus album (only focus/unfocus, not external navigation)
+    link.addEventListener('click', (e) => {
+        e.preventDefault();
+        toggleAlbumFocus(i);
+    });
 
-            // Bounce a little if hitting edges (dampen velocity)
-            if (this.pos.x === half && this.vel.x < 0) this.vel.x *= -0.3;
-            if (this.pos.x === state.size.w - half && this.vel.x > 0) this.vel.x *= -0.3;
-            if (this.pos.y === half && this.vel.y < 0) this.vel.y *= -0.3;
-            if (this.pos.y === state.size.h - half && this.vel.y > 0) this.vel.y *= -0.3;
-        }
-        draw(ctx, opacity = 1) {
-            const half = this.size / 2;
-
-            if (playerIcon.complete) {
-                ctx.globalAlpha = opacity;
-                ctx.drawImage(playerIcon,
-                    Math.round(this.pos.x - half),
-                    Math.round(this.pos.y - half),
-                    this.size, this.size);
-                ctx.globalAlpha = 1;
-            } else {
-                // Fallback to white square while image loads
-                ctx.fillStyle = opacity < 1 ? `rgba(255, 255, 255, ${opacity})` : '#000000ff';
-                ctx.fillRect(Math.round(this.pos.x - half) + 0.5,
-                    Math.round(this.pos.y - half) + 0.5,
-                    this.size, this.size);
-            }
+    link.onmouseenter = () => {
+        if (selectedAlbumIndex === null || selectedAlbumIndex !== i) {
+            link.style.transform = link.style.transform.includes('scale') ?
+                link.style.transform : 'scale(1.05)';
+            link.style.boxShadow = '0 8px 20px color-mix(in srgb, var(--accent) 30%, transparent)';
         }
-    }
-
-    const input = new Input();
-    const player = new Player();
-    let hasInteracted = false;
-    let inkAccumulator = 0; // Track how much re-inking has occurred
-    let isRevealed = false; // Track if text is fully revealed
-    let revealProgress = 0; // Animation progress 0..1 for rising text
-    let textYOffset = 0; // Current vertical offset of text
-    let playerOpacity = 1; // Player fade opacity
-    let fadeDelay = 0; // Delay timer before text rises
-    let frameCount = 0; // For throttling expensive operations
-    let redirectTimer = 0; // Timer for redirect after animation completes
-    let albumsOpacity = 0; // Opacity for album grid fade-in
-    let albumsLoaded = 0; // Track how many album images have loaded
-    let selectedAlbumIndex = null; // Track which album is currently focused (null = grid view)
-
-    // Animation state for countdown orbit
-    let orbitAngle = 0; // Current angle for orbit rotation
-
-    // Jiggle hint state
-    let idleTime = 0; // Track time without interaction
-    let jiggleActive = false; // Whether jiggle animation is active
-    let postJigglePause = 0; // Track pause time after jiggle ends
-    let jiggleCycleCount = 0; // Track number of jiggle cycles (0 = first cycle)
-    const JIGGLE_DELAY = 5.0; // Seconds to wait before starting jiggle
-
-    // 6 most recent albums from fngrnctr.bandcamp.com
-    const albums = [
-        {
-            title: 'Ruby',
-            url: 'https://fngrnctr.bandcamp.com/album/ruby',
-            artUrl: 'https://f4.bcbits.com/img/a2483217735_10.jpg',
-            tracks: [
-                { name: 'First Day of Summer', url: 'https://fngrnctr.bandcamp.com/track/first-day-of-summer', duration: '02:45' },
-                { name: 'Call from Kenneth (Skit)', url: 'https://fngrnctr.bandcamp.com/track/call-from-kenneth-skit', duration: '01:58' },
-                { name: 'The Heist', url: 'https://fngrnctr.bandcamp.com/track/the-heist', duration: '02:13' },
-                { name: 'Destroy the Ruby, Larry (Skit)', url: 'https://fngrnctr.bandcamp.com/track/destroy-the-ruby-larry-skit', duration: '00:30' },
-                { name: 'Three Nights in Dallas', url: 'https://fngrnctr.bandcamp.com/track/three-nights-in-dallas', duration: '02:47' },
-                { name: 'Cuffed', url: 'https://fngrnctr.bandcamp.com/track/cuffed', duration: '03:43' },
-                { name: 'Failed My Friend', url: 'https://fngrnctr.bandcamp.com/track/failed-my-friend', duration: '02:30' },
-                { name: 'Who Put the Ruby in the Sky?', url: 'https://fngrnctr.bandcamp.com/track/who-put-the-ruby-in-the-sky', duration: '03:37' }
-            ]
-        },
-        {
-            title: 'Filthy Rich',
-            url: 'https://fngrnctr.bandcamp.com/album/filthy-rich',
-            artUrl: 'https://f4.bcbits.com/img/a3618756549_10.jpg',
-            tracks: [
-                { name: 'Wednesday Afternoon', url: 'https://fngrnctr.bandcamp.com/track/wednesday-afternoon', duration: '03:21' },
-                { name: 'Butler', url: 'https://fngrnctr.bandcamp.com/track/butler', duration: '02:50' },
-                { name: 'Satin Bathrobes', url: 'https://fngrnctr.bandcamp.com/track/satin-bathrobes', duration: '01:55' },
-                { name: 'New Day', url: 'https://fngrnctr.bandcamp.com/track/new-day', duration: '01:28' },
-                { name: 'Big Bad', url: 'https://fngrnctr.bandcamp.com/track/big-bad', duration: '01:16' },
-                { name: 'Filthy Rich', url: 'https://fngrnctr.bandcamp.com/track/filthy-rich', duration: '02:47' },
-                { name: 'Clones', url: 'https://fngrnctr.bandcamp.com/track/clones', duration: '03:51' },
-                { name: '20,000 Bones', url: 'https://fngrnctr.bandcamp.com/track/20-000-bones', duration: '01:22' },
-                { name: 'Growth Mindset', url: 'https://fngrnctr.bandcamp.com/track/growth-mindset', duration: '03:20' },
-                { name: 'Fresh Cooked Meal', url: 'https://fngrnctr.bandcamp.com/track/fresh-cooked-meal', duration: '03:34' },
-                { name: 'Sludge Factory', url: 'https://fngrnctr.bandcamp.com/track/sludge-factory', duration: '03:06' }
-            ]
-        },
-        {
-            title: 'Curse of the Doom Wizard',
-            url: 'https://fngrnctr.bandcamp.com/album/curse-of-the-doom-wizard',
-            artUrl: 'https://f4.bcbits.com/img/a2806072651_10.jpg',
-            tracks: [
-                { name: 'Mythic Motel', url: 'https://fngrnctr.bandcamp.com/track/mythic-motel', duration: '02:07' },
-                { name: 'Doom', url: 'https://fngrnctr.bandcamp.com/track/doom', duration: '01:32' },
-                { name: 'Memento Mori', url: 'https://fngrnctr.bandcamp.com/track/memento-mori', duration: '01:21' },
-                { name: 'Born to Die', url: 'https://fngrnctr.bandcamp.com/track/born-to-die', duration: '02:34' },
-                { name: 'Junkyard Jam', url: 'https://fngrnctr.bandcamp.com/track/junkyard-jam', duration: '01:57' },
-                { name: 'Gasoline', url: 'https://fngrnctr.bandcamp.com/track/gasoline', duration: '03:35' },
-                { name: 'Going to Space', url: 'https://fngrnctr.bandcamp.com/track/going-to-space', duration: '03:18' },
-                { name: 'Club Berlin', url: 'https://fngrnctr.bandcamp.com/track/club-berlin', duration: '06:31' }
-            ]
-        },
-        {
-            title: 'The Ark of Rhyme',
-            url: 'https://fngrnctr.bandcamp.com/album/the-ark-of-rhyme',
-            artUrl: 'https://f4.bcbits.com/img/a2390029355_10.jpg',
-            tracks: [
-                { name: 'Business District', url: 'https://fngrnctr.bandcamp.com/track/business-district', duration: '02:53' },
-                { name: 'Ready to Rap (Boys in the Back)', url: 'https://fngrnctr.bandcamp.com/track/ready-to-rap-boys-in-the-back', duration: '03:23' },
-                { name: 'Sugar', url: 'https://fngrnctr.bandcamp.com/track/sugar', duration: '02:15' },
-                { name: 'Down to Get Out', url: 'https://fngrnctr.bandcamp.com/track/down-to-get-out', duration: '03:37' },
-                { name: 'Blue Skies Only', url: 'https://fngrnctr.bandcamp.com/track/blue-skies-only', duration: '03:49' },
-                { name: 'Barge Pirates', url: 'https://fngrnctr.bandcamp.com/track/barge-pirates', duration: '03:22' }
-            ]
-        },
-        {
-            title: 'Totally Bad Dudes',
-            url: 'https://fngrnctr.bandcamp.com/album/totally-bad-dudes-2',
-            artUrl: 'https://f4.bcbits.com/img/a2322292393_10.jpg',
-            tracks: [
-                { name: 'Jackals', url: 'https://fngrnctr.bandcamp.com/track/jackals', duration: '03:59' },
-                { name: 'Glasgow', url: 'https://fngrnctr.bandcamp.com/track/glasgow', duration: '03:43' },
-                { name: 'Bad Dudes', url: 'https://fngrnctr.bandcamp.com/track/bad-dudes', duration: '03:37' },
-                { name: 'Nectar Shuffle', url: 'https://fngrnctr.bandcamp.com/track/nectar-shuffle', duration: '02:16' },
-                { name: 'Freak 4 U', url: 'https://fngrnctr.bandcamp.com/track/freak-4-u', duration: '03:29' },
-                { name: 'Y!KE', url: 'https://fngrnctr.bandcamp.com/track/y-ke', duration: '01:52' },
-                { name: 'Deep in the Weekend', url: 'https://fngrnctr.bandcamp.com/track/deep-in-the-weekend', duration: '03:08' },
-                { name: 'Say Goodbye', url: 'https://fngrnctr.bandcamp.com/track/say-goodbye', duration: '03:00' }
-            ]
-        },
-        {
-            title: 'Adventures in $herwood: Welcome to Smockville',
-            url: 'https://fngrnctr.bandcamp.com/album/adventures-in-herwood-welcome-to-smockville',
-            artUrl: 'https://f4.bcbits.com/img/a1625422072_10.jpg',
-            tracks: [
-                { name: 'Straight Beamin\'', url: 'https://fngrnctr.bandcamp.com/track/straight-beamin', duration: '03:48' },
-                { name: 'Sherwood Anthem', url: 'https://fngrnctr.bandcamp.com/track/sherwood-anthem', duration: '03:09' },
-                { name: 'Welcome to Smockville', url: 'https://fngrnctr.bandcamp.com/track/welcome-to-smockville', duration: '03:56' },
-                { name: 'I-80 E', url: 'https://fngrnctr.bandcamp.com/track/i-80-e', duration: '05:40' },
-                { name: '31 on a Good Day', url: 'https://fngrnctr.bandcamp.com/track/31-on-a-good-day', duration: '02:06' }
-            ]
-        },
-        {
-            title: 'Canonical Nectar',
-            url: 'https://fngrnctr.bandcamp.com/album/canonical-nectar-3',
-            artUrl: 'https://f4.bcbits.com/img/a0742649748_10.jpg',
-            tracks: [
-                { name: 'Survival of the Chillest', url: 'https://fngrnctr.bandcamp.com/track/survival-of-the-chillest', duration: '04:41' }
-            ]
-        },
-        {
-            title: 'Tony Hawk One',
-            url: 'https://fngrnctr.bandcamp.com/album/tony-hawk-one',
-            artUrl: 'https://f4.bcbits.com/img/a3694744642_10.jpg',
-            tracks: [
-                { name: 'Tony Hawk One', url: 'https://fngrnctr.bandcamp.com/track/tony-hawk-one', duration: '04:06' }
-            ]
-        },
-        {
-            title: 'Fuck The Environment',
-            url: 'https://fngrnctr.bandcamp.com/album/fuck-the-environment',
-            artUrl: 'https://f4.bcbits.com/img/a3026720147_10.jpg',
-            tracks: [
-                { name: 'Fuck the Environment', url: 'https://fngrnctr.bandcamp.com/track/fuck-the-environment', duration: '03:13' }
-            ]
-        },
-        {
-            title: 'MEGA BONE SLAM FEST',
-            url: 'https://fngrnctr.bandcamp.com/album/fingernectar-presents-mega-bone-slam-fest-a-christmas-adventure',
-            artUrl: 'https://f4.bcbits.com/img/a0486793882_10.jpg',
-            tracks: [
-                { name: 'The Scene Is Set (Intro)', url: 'https://fngrnctr.bandcamp.com/track/the-scene-is-set-intro', duration: '00:35' },
-                { name: 'Gimme Presents', url: 'https://fngrnctr.bandcamp.com/track/gimme-presents', duration: '01:59' },
-                { name: 'Root Beer', url: 'https://fngrnctr.bandcamp.com/track/root-beer', duration: '04:06' },
-                { name: 'Farewell For Now (Outro)', url: 'https://fngrnctr.bandcamp.com/track/farewell-for-now-outro', duration: '00:30' },
-                { name: 'Everybody Loves Christmas', url: 'https://fngrnctr.bandcamp.com/track/everybody-loves-christmas', duration: '02:45' }
-            ]
-        },
-        {
-            title: 'Sex Erector',
-            url: 'https://fngrnctr.bandcamp.com/album/sex-erector',
-            artUrl: 'https://f4.bcbits.com/img/a1646405077_10.jpg',
-            tracks: [
-                { name: 'Whole Lotta Doody', url: 'https://fngrnctr.bandcamp.com/track/whole-lotta-doody', duration: '02:13' }
-            ]
+    };
+    link.onmouseleave = () => {
+        if (selectedAlbumIndex === null || selectedAlbumIndex !== i) {
+            link.style.transform = link.style.transform.replace(/scale\([^)]*\)\s*/g, '');
+            link.style.boxShadow = 'none';
         }
-    ];
-
-    // Initialize orbit animation data after albums array is defined
-    const albumOrbitData = albums.map((_, i) => ({
+    };
+
+    // Covers whose collectible hasn't been picked up yet stay obscured
+    const locked = lockedAlbums.has(album.slug);
+    link.classList.toggle('locked', locked);
+
+    const img = document.createElement('img');
+    img.src = album.artUrl;
+    img.alt = locked ? `${album.title} (locked)` : album.title;
+    img.draggable = false;
+    img.style.cssText = `
+        display: block;
+        width: 100%;
+        height: 100%;
+        object-fit: cover;
+        user-select: none;
+        -webkit-user-drag: none;
+    `;
+    img.onload = () => { albumsLoaded++; };
+    img.onerror = () => { console.error('Failed to load album art:', album.title); };
+
+    // The item wrapper only carries the list semantics; the link is positioned as before
+    const item = document.createElement('div');
+    item.setAttribute('role', 'listitem');
+    item.style.display = 'contents';
+    link.appendChild(img);
+    item.appendChild(link);
+    albumContainer.appendChild(item);
+    return link;
+}
+
+// Replace the album catalog and rebuild its elements
+function setAlbums(list) {
+    albumElements.forEach((elem) => elem.parentNode.remove());
+    albums = list;
+    trackQueue.setAlbums(albums);
+    lockedAlbums.forEach((slug) => {
+        if (albums.length > 0 && !albums.some((album) => album.slug === slug)) console.error(`[entities] Collectible for unknown album "${slug}"`);
+    });
+    albumOrbitData = albums.map((_, i) => ({
         angleOffset: (i / albums.length) * Math.PI * 2, // Evenly space albums around circle
         rotationX: 0,
         rotationY: 0
     }));
-
-    // Create HTML elements for album art (avoids CORS canvas issues)
-    const albumContainer = document.createElement('div');
-    albumContainer.id = 'album-container';
-    albumContainer.style.cssText = `
-        position: fixed;
-        top: 0;
-        left: 0;
-        width: 100%;
-        height: 100%;
-        pointer-events: none;
-        z-index: 10;
-        opacity: 0;
-        transition: opacity 0.8s ease;
-    `;
-    document.body.appendChild(albumContainer);
-
-    // Create embedded player container
-    const playerContainer = document.createElement('div');
-    playerContainer.id = 'player-container';
-    playerContainer.style.cssText = `
-        position: fixed;
-        z-index: 12;
-        opacity: 0;
-        pointer-events: none;
-        transition: opacity 0.3s ease;
-    `;
-    document.body.appendChild(playerContainer);
-
-    const albumElements = albums.map((album, i) => {
-        const link = document.createElement('a');
-        link.href = album.url;
-        link.target = '_blank';
-        link.style.cssText = `
-            position: absolute;
-            cursor: pointer;
-            transition: all 0.4s ease;
-            border: 2px solid #fff;
-            z-index: ${10 + i};
-        `;
-
-        // Click handler to focus/unfocus album
-        link.addEventListener('click', (e) => {
-            // Only handle focus/unfocus, not external navigation
-            if (selectedAlbumIndex === null) {
-                // Focus this album
-                e.preventDefault();
-                selectedAlbumIndex = i;
-                updateAlbumPositions();
-            } else if (selectedAlbumIndex === i) {
-                // Unfocus - return to grid
-                e.preventDefault();
-                selectedAlbumIndex = null;
-                updateAlbumPositions();
-            } else {
-                // Click on different album in sidebar - switch focus
-                e.preventDefault();
-                selectedAlbumIndex = i;
-                updateAlbumPositions();
-            }
-        });
-
-        link.onmouseenter = () => {
-            if (selectedAlbumIndex === null || selectedAlbumIndex !== i) {
-                link.style.transform = link.style.transform.includes('scale') ?
-                    link.style.transform : 'scale(1.05)';
-                link.style.boxShadow = '0 8px 20px rgba(255,255,255,0.3)';
-            }
-        };
-        link.onmouseleave = () => {
-            if (selectedAlbumIndex === null || selectedAlbumIndex !== i) {
-                link.style.transform = link.style.transform.replace(/scale\([^)]*\)\s*/g, '');
-                link.style.boxShadow = 'none';
-            }
-        };
-
-        const img = document.createElement('img');
-        img.src = album.artUrl;
-        img.alt = album.title;
-        img.draggable = false;
-        img.style.cssText = `
-            display: block;
-            width: 100%;
-            height: 100%;
-            object-fit: cover;
-            user-select: none;
-            -webkit-user-drag: none;
-        `;
-        img.onload = () => { albumsLoaded++; };
-        img.onerror = () => { console.error('Failed to load album art:', album.title); };
-
-        link.appendChild(img);
-        albumContainer.appendChild(link);
-        return link;
+    albumElements = albums.map(createAlbumElement);
+    selectedAlbumIndex = null;
+    trackListAlbumIndex = null;
+    if (phases.settled) settleAlbums(settledAlbumSlug);
+    else updateAlbumPositions();
+}
+
+// Show an album focused (null = grid view), moving to the matching album phase
+function selectAlbum(index) {
+    const phase = index === null ? 'album-grid' : 'album-focus';
+    if (phases.is(phase) && index === selectedAlbumIndex) return;
+    selectedAlbumIndex = index;
+    phases.go(phase, index === null ? {} : { album: albums[index].slug });
+}
+
+// Leave the albums in place as a clickable grid, optionally with one album focused
+function settleAlbums(slug = null) {
+    settledAlbumSlug = slug;
+    const index = slug ? albums.findIndex((album) => album.slug === slug) : -1;
+    if (slug && albums.length > 0 && index === -1) {
+        console.error(`[albums] Unknown album "${slug}"; showing the grid`);
+    }
+    selectAlbum(index === -1 ? null : index);
+    albumElements.forEach((elem) => {
+        elem.style.pointerEvents = 'auto';
+        elem.tabIndex = 0;
     });
+    albumContainer.removeAttribute('aria-hidden');
+    albumContainer.style.opacity = '1';
+    updateAlbumPositions();
+    // Wait for the catalog before touching the URL so a deep link isn't rewritten early
+    if (albums.length > 0) recordRoute(true);
+}
+
+// Put the current album view in the URL; new history entries let back/forward step between views
+function recordRoute(replace = false) {
+    const hash = routeHash(selectedAlbumIndex === null ? null : albums[selectedAlbumIndex].slug);
+    if (window.location.hash === hash) return;
+    if (replace) history.replaceState(null, '', hash);
+    else history.pushState(null, '', hash);
+}
+
+// Show the view named by the URL hash, skipping the reveal if it hasn't finished
+function applyRoute() {
+    const route = parseRoute(window.location.hash);
+    if (!route) return false;
+    if (!phases.settled) {
+        skipReveal(route.slug);
+        return true;
+    }
+    const index = route.slug ? albums.findIndex((album) => album.slug === route.slug) : -1;
+    selectAlbum(index === -1 ? null : index);
+    updateAlbumPositions();
+    return true;
+}
+window.addEventListener('popstate', applyRoute);
+
+// Vertical text offset once it has risen to the top of the screen
+function risenTextOffset() {
+    const minMargin = Math.max(50, textLayout.fontSize * 0.5); // Keep text visible with minimum margin from top
+    return state.size.h / 2 - (minMargin + textLayout.height / 2);
+}
+
+// Jump straight to the settled album views with the text fully revealed and risen
+function skipReveal(slug = null) {
+    sequence.skip();
+    textYOffset = risenTextOffset();
+    ink.thin(1);
+    hud.classList.add('hidden');
+    welcome.classList.add('hidden');
+    settleAlbums(slug);
+}
+
+// Focus an album (or return to the grid when it is already focused)
+function toggleAlbumFocus(i) {
+    selectAlbum(selectedAlbumIndex === i ? null : i);
+    updateAlbumPositions();
+    recordRoute();
+}
+
+// Return from the focused view to the grid, keeping keyboard focus on that album
+function unfocusAlbum() {
+    if (selectedAlbumIndex === null) return false;
+    const previous = albumElements[selectedAlbumIndex];
+    selectAlbum(null);
+    updateAlbumPositions();
+    recordRoute();
+    previous.focus();
+    return true;
+}
+
+// Move keyboard focus through the albums in catalog order
+function moveAlbumFocus(delta) {
+    if (!phases.settled || albumElements.length === 0) return false;
+    const n = albumElements.length;
+    let current = albumElements.indexOf(document.activeElement);
+    if (current === -1) current = selectedAlbumIndex !== null ? selectedAlbumIndex : (delta > 0 ? -1 : 0);
+    albumElements[(current + delta + n) % n].focus();
+    return true;
+}
+
+input.onAction('left', () => moveAlbumFocus(-1));
+input.onAction('up', () => moveAlbumFocus(-1));
+input.onAction('right', () => moveAlbumFocus(1));
+input.onAction('down', () => moveAlbumFocus(1));
+input.onAction('select', () => {
+    if (!phases.settled) return false;
+    let i = albumElements.indexOf(document.activeElement);
+    // Gamepad A with nothing focused yet picks the first album
+    if (i === -1) {
+        if (document.activeElement && document.activeElement !== document.body) return false;
+        i = 0;
+    }
+    toggleAlbumFocus(i);
+    albumElements[i].focus();
+    return true;
+});
+
+// Any key or tap during the orbit countdown cancels the redirect
+function cancelRedirect() {
+    if (sequence.canCancel()) settleAlbums();
+}
+window.addEventListener('keydown', cancelRedirect);
+window.addEventListener('pointerdown', cancelRedirect);
+
+async function loadDiscography() {
+    try {
+        const response = await fetch(DISCOGRAPHY_URL, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setAlbums(validateDiscography(await response.json(), config.themes));
+    } catch (err) {
+        console.error(`[discography] Failed to load ${DISCOGRAPHY_URL}:`, err);
+    }
+}
+
+// Function to update album positions
+function updateAlbumPositions() {
+    const minSide = Math.min(state.size.w, state.size.h);
+
+    if (selectedAlbumIndex === null) {
+        // Grid view - horizontal row of albums
+        const albumSize = Math.min(120, minSide * 0.15);
+        const gap = albumSize * 0.15;
+        const totalWidth = albums.length * albumSize + (albums.length - 1) * gap;
+        const startX = (state.size.w - totalWidth) / 2;
+        const centerY = state.size.h / 2;
+
+        albumElements.forEach((elem, i) => {
+            const x = startX + i * (albumSize + gap);
+            const y = centerY - albumSize / 2;
+            elem.style.left = Math.round(x) + 'px';
+            elem.style.top = Math.round(y) + 'px';
+            elem.style.width = albumSize + 'px';
+            elem.style.height = albumSize + 'px';
+            elem.style.transform = '';
+            elem.style.zIndex = 10 + i;
+        });
 
-    // Function to update album positions
-    function updateAlbumPositions() {
-        const minSide = Math.min(state.size.w, state.size.h);
-
-        if (selectedAlbumIndex === null) {
-            // Grid view - horizontal row of albums
-            const albumSize = Math.min(120, minSide * 0.15);
-            const gap = albumSize * 0.15;
-            const totalWidth = albums.length * albumSize + (albums.length - 1) * gap;
-            const startX = (state.size.w - totalWidth) / 2;
-            const centerY = state.size.h / 2;
+        // Hide player and track list
+        playerContainer.style.opacity = '0';
+        playerContainer.style.pointerEvents = 'none';
+        trackListContainer.style.opacity = '0';
+        trackListContainer.style.pointerEvents = 'none';
+    } else {
+        // Focused view - one large album in center, others in sidebar
+        const focusedSize = Math.min(400, minSide * 0.5, state.size.h * 0.5);
+        const sidebarSize = Math.min(100, minSide * 0.12);
+        const sidebarGap = sidebarSize * 0.2;
+        const sidebarX = Math.max(20, (state.size.w - focusedSize) / 4 - sidebarSize / 2);
+
+        // Position focused album vertically centered
+        const focusedX = (state.size.w - focusedSize) / 2;
+        const focusedY = (state.size.h - focusedSize) / 2;
+
+        albumElements.forEach((elem, i) => {
+            if (i === selectedAlbumIndex) {
+                // Focused album - center and large
+                elem.style.left = Math.round(focusedX) + 'px';
+                elem.style.top = Math.round(focusedY) + 'px';
+                elem.style.width = focusedSize + 'px';
+                elem.style.height = focusedSize + 'px';
+                elem.style.transform = '';
+                elem.style.zIndex = 100;
+            } else {
+                // Sidebar albums - vertical stack on left
+                const sidebarIndex = i < selectedAlbumIndex ? i : i - 1;
+                const totalSidebarHeight = (albums.length - 1) * (sidebarSize + sidebarGap) - sidebarGap;
+                const startY = (state.size.h - totalSidebarHeight) / 2;
+                const y = startY + sidebarIndex * (sidebarSize + sidebarGap);
 
-            albumElements.forEach((elem, i) => {
-                const x = startX + i * (albumSize + gap);
-                const y = centerY - albumSize / 2;
-                elem.style.left = Math.round(x) + 'px';
+                elem.style.left = Math.round(sidebarX) + 'px';
                 elem.style.top = Math.round(y) + 'px';
-                elem.style.width = albumSize + 'px';
-                elem.style.height = albumSize + 'px';
+                elem.style.width = sidebarSize + 'px';
+                elem.style.height = sidebarSize + 'px';
                 elem.style.transform = '';
                 elem.style.zIndex = 10 + i;
-            });
-
-            // Hide player
-            playerContainer.style.opacity = '0';
-            playerContainer.style.pointerEvents = 'none';
-        } else {
-            // Focused view - one large album in center, others in sidebar
-            const focusedSize = Math.min(400, minSide * 0.5, state.size.h * 0.5);
-            const sidebarSize = Math.min(100, minSide * 0.12);
-            const sidebarGap = sidebarSize * 0.2;
-            const sidebarX = Math.max(20, (state.size.w - focusedSize) / 4 - sidebarSize / 2);
-
-            // Position focused album vertically centered
-            const focusedX = (state.size.w - focusedSize) / 2;
-            const focusedY = (state.size.h - focusedSize) / 2;
-
-            albumElements.forEach((elem, i) => {
-                if (i === selectedAlbumIndex) {
-                    // Focused album - center and large
-                    elem.style.left = Math.round(focusedX) + 'px';
-                    elem.style.top = Math.round(focusedY) + 'px';
-                    elem.style.width = focusedSize + 'px';
-                    elem.style.height = focusedSize + 'px';
-                    elem.style.transform = '';
-                    elem.style.zIndex = 100;
-                } else {
-                    // Sidebar albums - vertical stack on left
-                    const sidebarIndex = i < selectedAlbumIndex ? i : i - 1;
-                    const totalSidebarHeight = (albums.length - 1) * (sidebarSize + sidebarGap) - sidebarGap;
-                    const startY = (state.size.h - totalSidebarHeight) / 2;
-                    const y = startY + sidebarIndex * (sidebarSize + sidebarGap);
-
-                    elem.style.left = Math.round(sidebarX) + 'px';
-                    elem.style.top = Math.round(y) + 'px';
-                    elem.style.width = sidebarSize + 'px';
-                    elem.style.height = sidebarSize + 'px';
-                    elem.style.transform = '';
-                    elem.style.zIndex = 10 + i;
-                }
-            });
+            }
+        });
 
-            // Show Bandcamp album embed player to the right of the album
-            const albumId = getAlbumId(selectedAlbumIndex);
-            const embedUrl = `https://bandcamp.com/EmbeddedPlayer/album=${albumId}/size=large/bgcol=333333/linkcol=ffffff/artwork=none/transparent=true/`;
+        // Show Bandcamp album embed player to the right of the album, unless the in-page player
+        // has the album's tracks
+        const album = albums[selectedAlbumIndex];
+        const albumId = trackQueue.hasTracks(album.slug) ? null : album.bandcampId;
+        if (albumId) {
+            const embedUrl = `https://bandcamp.com/EmbeddedPlayer/album=${albumId}/size=large/bgcol=${hexDigits(activeTheme.background)}/linkcol=${hexDigits(activeTheme.accent)}/artwork=none/transparent=true/`;
 
             playerContainer.innerHTML = `
                 <iframe style="border: 0; width: 350px; height: ${focusedSize}px;" 
@@ -533,437 +672,865 @@
             playerContainer.style.top = focusedY + 'px';
             playerContainer.style.opacity = '1';
             playerContainer.style.pointerEvents = 'auto';
+        } else {
+            // No Bandcamp ID in the manifest (or the in-page player has it) - don't fall back to
+            // another album's player
+            playerContainer.innerHTML = '';
+            playerContainer.style.opacity = '0';
+            playerContainer.style.pointerEvents = 'none';
         }
-    }
 
-    // Helper to get Bandcamp album ID from album index
-    function getAlbumId(index) {
-        const albumIds = [
-            '415329228',   // Ruby
-            '3668548966',  // Filthy Rich (from user's example embed code)
-            '1693447220',  // Curse of the Doom Wizard
-            '3585089304',  // The Ark of Rhyme
-            '1576237228',  // Totally Bad Dudes
-            '3695036422'   // Adventures in $herwood
-        ];
-        return albumIds[index] || albumIds[0];
+        // Track list to the right of the player, or below the album if it won't fit
+        if (trackListAlbumIndex !== selectedAlbumIndex) {
+            renderTrackList(albums[selectedAlbumIndex]);
+            trackListAlbumIndex = selectedAlbumIndex;
+        }
+        const listWidth = Math.min(280, state.size.w - 40);
+        const besideX = focusedX + focusedSize + 20 + (albumId ? 350 + 20 : 0);
+        if (besideX + listWidth <= state.size.w - 20) {
+            trackListContainer.style.left = Math.round(besideX) + 'px';
+            trackListContainer.style.top = Math.round(focusedY) + 'px';
+            trackListContainer.style.width = listWidth + 'px';
+            trackListContainer.style.maxHeight = focusedSize + 'px';
+        } else {
+            const belowY = focusedY + focusedSize + 20;
+            trackListContainer.style.left = Math.round(focusedX) + 'px';
+            trackListContainer.style.top = Math.round(belowY) + 'px';
+            trackListContainer.style.width = focusedSize + 'px';
+            trackListContainer.style.maxHeight = Math.max(80, state.size.h - belowY - 20) + 'px';
+        }
+        trackListContainer.style.opacity = '1';
+        trackListContainer.style.pointerEvents = 'auto';
     }
-
-    // Update album positions on resize
-    window.addEventListener('resize', updateAlbumPositions, { passive: true });
-    updateAlbumPositions();
-
-    // Function to calculate reveal percentage by sampling ink layer
-    function calculateRevealPercentage() {
-        if (!hasInteracted) return 0;
-
-        // Sample a grid of points around the text area to check transparency
-        const centerX = Math.floor(state.size.w / 2);
-        const centerY = Math.floor(state.size.h / 2);
-        const minSide = Math.min(state.size.w, state.size.h);
-        const sampleWidth = Math.floor(minSide * 0.5);
-        const sampleHeight = Math.floor(minSide * 0.15);
-
-        const step = 30; // Sample every 30 pixels for better performance
-        let totalSamples = 0;
-        let revealedSamples = 0;
-
-        const x0 = Math.max(0, centerX - sampleWidth / 2);
-        const y0 = Math.max(0, centerY - sampleHeight / 2);
-        const x1 = Math.min(state.size.w, centerX + sampleWidth / 2);
-        const y1 = Math.min(state.size.h, centerY + sampleHeight / 2);
-
-        for (let x = x0; x < x1; x += step) {
-            for (let y = y0; y < y1; y += step) {
-                totalSamples++;
-                const imgData = inkCtx.getImageData(x * state.size.dpr, y * state.size.dpr, 1, 1);
-                const alpha = imgData.data[3];
-                // Consider revealed if alpha is below threshold (more transparent)
-                if (alpha < 128) revealedSamples++;
-            }
+}
+
+// Update album positions on resize
+window.addEventListener('resize', updateAlbumPositions, { passive: true });
+loadDiscography();
+
+// Reveal progress HUD: overall percentage, plus each letter lit once it is fully uncovered
+const hud = document.createElement('div');
+hud.className = config.hud ? 'hud' : 'hud hidden';
+const hudPanel = document.createElement('div');
+hudPanel.className = 'panel';
+const hudPercent = document.createElement('div');
+hudPercent.className = 'hud-percent';
+const hudLetters = document.createElement('div');
+hudLetters.className = 'hud-letters';
+hudPanel.append(hudPercent, hudLetters);
+hud.appendChild(hudPanel);
+document.body.appendChild(hud);
+let hudLetterMask = null; // Mask the letter spans were built for
+
+// Tapping the panel collapses it to just the percentage
+hudPanel.addEventListener('click', () => hudLetters.classList.toggle('hidden'));
+input.onAction('hud', () => {
+    if (phases.revealed) return;
+    hud.classList.toggle('hidden');
+    updateHud();
+});
+
+function updateHud() {
+    if (hud.classList.contains('hidden')) return;
+    if (hudLetterMask !== revealMask) {
+        hudLetters.textContent = '';
+        (revealMask ? revealMask.letters : []).forEach((letter) => {
+            const span = document.createElement('span');
+            span.className = 'hud-letter';
+            span.textContent = letter.char;
+            hudLetters.appendChild(span);
+        });
+        hudLetterMask = revealMask;
+    }
+    hudPercent.textContent = `${Math.floor(scratch.stats.total * 100)}% revealed`;
+    scratch.stats.letters.forEach((letter, i) => {
+        const span = hudLetters.children[i];
+        if (span) span.classList.toggle('done', letter.progress >= REVEAL_THRESHOLD);
+    });
+}
+updateHud();
+
+// Help overlay listing the controls, opened with H or the ? button
+const helpButton = document.createElement('button');
+helpButton.type = 'button';
+helpButton.className = 'help-button';
+helpButton.textContent = '?';
+helpButton.setAttribute('aria-label', 'Help');
+document.body.appendChild(helpButton);
+
+const helpOverlay = document.createElement('div');
+helpOverlay.className = 'help-overlay hidden';
+helpOverlay.setAttribute('role', 'dialog');
+helpOverlay.setAttribute('aria-label', 'Help');
+const helpPanel = document.createElement('div');
+helpPanel.className = 'panel help-panel';
+const helpTitle = document.createElement('div');
+helpTitle.className = 'help-title';
+helpTitle.textContent = 'How to play';
+const helpList = document.createElement('ul');
+[
+    ['WASD / Arrow keys', 'Move'],
+    ['Drag', 'Move (touch or mouse)'],
+    ['', 'Uncover the whole text before the ink creeps back'],
+    ['Click an album', 'Focus it; click it again for the grid'],
+    ['Arrows / Tab, Enter', 'Pick an album with the keyboard'],
+    ['Esc', 'Back to the grid / close help'],
+    ['Gamepad', 'Stick or d-pad to move, A select, B back'],
+    ['P', 'Toggle the progress meter'],
+    ['H', 'Toggle this help'],
+    ['M', 'Mute or unmute the sound'],
+    ['T', 'Switch the color theme'],
+    ['L', 'Show the challenge leaderboard (after the reveal)'],
+    ...(new URLSearchParams(window.location.search).has('record') ? [['R', 'Save the recorded run']] : [])
+].forEach(([keys, action]) => {
+    const item = document.createElement('li');
+    if (keys) {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = keys;
+        item.append(kbd, ' ');
+    }
+    item.append(action);
+    helpList.appendChild(item);
+});
+const helpClose = document.createElement('div');
+helpClose.className = 'help-close';
+helpClose.textContent = 'Tap anywhere or press H to close';
+helpPanel.append(helpTitle, helpList, helpClose);
+helpOverlay.appendChild(helpPanel);
+document.body.appendChild(helpOverlay);
+
+// While help is open the simulation, and with it the re-ink fade, stops stepping
+let helpOpen = false;
+
+function setHelpOpen(open) {
+    if (open === helpOpen) return;
+    helpOpen = open;
+    helpOverlay.classList.toggle('hidden', !open);
+    helpButton.classList.toggle('hidden', open);
+    sound.scratch(0);
+}
+
+helpButton.addEventListener('click', () => setHelpOpen(true));
+helpOverlay.addEventListener('click', () => setHelpOpen(false));
+input.onAction('help', () => setHelpOpen(!helpOpen));
+input.onAction('back', () => {
+    if (helpOpen) {
+        setHelpOpen(false);
+        return true;
+    }
+    if (leaderboardOpen) {
+        setLeaderboardOpen(false);
+        return true;
+    }
+    return phases.settled && unfocusAlbum();
+});
+
+// Sound effects, started by the first key press or tap. The mute setting is remembered; visitors who
+// prefer reduced motion start muted. localStorage is only touched inside SoundEffects' try blocks.
+const sound = new SoundEffects({
+    storage: {
+        getItem: (key) => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, value)
+    },
+    reducedMotion
+});
+window.addEventListener('pointerdown', () => sound.unlock(), { once: true });
+window.addEventListener('keydown', () => sound.unlock(), { once: true });
+
+const soundButton = document.createElement('button');
+soundButton.type = 'button';
+soundButton.className = 'help-button sound-button';
+soundButton.textContent = '♪';
+soundButton.setAttribute('aria-label', 'Mute sound');
+document.body.appendChild(soundButton);
+
+function updateSoundButton() {
+    soundButton.classList.toggle('muted', sound.muted);
+    soundButton.setAttribute('aria-pressed', String(sound.muted));
+}
+updateSoundButton();
+
+soundButton.addEventListener('click', () => {
+    sound.toggleMuted();
+    updateSoundButton();
+});
+input.onAction('mute', () => {
+    sound.toggleMuted();
+    updateSoundButton();
+});
+
+// Themes (src/theme.js): ?theme=, FNGRNCTR_CONFIG or the ◐ button (T) pick one; the button's choice
+// is remembered in localStorage. A focused album with its own theme wears it until the grid is back.
+const THEME_KEY = 'fngrnctr.theme';
+const themeNames = Object.keys(config.themes);
+let themeName = loadThemeName();
+let albumTheme = null; // Focused album's theme, when it has one
+let activeTheme = null;
+let playerSprite; // URL of the player icon loaded for the active theme
+
+function loadThemeName() {
+    if (new URLSearchParams(window.location.search).has('theme')) return config.theme;
+    try {
+        const saved = localStorage.getItem(THEME_KEY);
+        if (saved && themeNames.includes(saved)) return saved;
+    } catch (err) {
+        // Storage disabled - use the configured theme
+    }
+    return config.theme;
+}
+
+function currentTheme() {
+    return albumTheme || config.themes[themeName];
+}
+
+// Page colors through CSS custom properties; the canvas, ink, entities and player sprite directly
+function applyTheme(theme) {
+    if (theme === activeTheme) return;
+    activeTheme = theme;
+    const root = document.documentElement.style;
+    root.setProperty('--bg', theme.background);
+    root.setProperty('--text', theme.text);
+    root.setProperty('--accent', theme.accent);
+    root.colorScheme = isLightTheme(theme) ? 'light' : 'dark';
+    ink.recolor(theme.ink);
+    player.color = theme.accent;
+    world.theme = theme;
+    if (theme.player !== playerSprite) {
+        playerSprite = theme.player;
+        player.icon = null;
+        if (theme.player) {
+            const icon = new Image();
+            icon.onerror = () => {
+                console.error(`[theme] Could not load the player sprite ${theme.player}; drawing a square`);
+                if (player.icon === icon) player.icon = null;
+            };
+            icon.src = theme.player;
+            player.icon = icon;
         }
-
-        return totalSamples > 0 ? revealedSamples / totalSamples : 0;
     }
+}
+applyTheme(currentTheme());
+
+const themeButton = document.createElement('button');
+themeButton.type = 'button';
+themeButton.className = 'help-button theme-button';
+themeButton.textContent = '◐';
+document.body.appendChild(themeButton);
+
+function updateThemeButton() {
+    themeButton.title = `Theme: ${themeName}`;
+    themeButton.setAttribute('aria-label', `Switch theme (now ${themeName})`);
+}
+updateThemeButton();
+
+function nextTheme() {
+    themeName = themeNames[(themeNames.indexOf(themeName) + 1) % themeNames.length];
+    try {
+        localStorage.setItem(THEME_KEY, themeName);
+    } catch (err) {
+        console.error('[theme] Could not save the theme:', err);
+    }
+    applyTheme(currentTheme());
+    if (phases.is('album-focus')) updateAlbumPositions(); // The Bandcamp embed takes the theme's colors
+    updateThemeButton();
+    announce(`${themeName} theme`);
+}
+themeButton.addEventListener('click', nextTheme);
+input.onAction('theme', () => {
+    nextTheme();
+    return true;
+});
+
+// Accessible path past the scratch-off: a skip link first in the tab order (shown on focus, or
+// always under reduced motion) and a polite live region announcing reveal progress and each view
+const skipLink = document.createElement('a');
+skipLink.className = 'skip-link';
+skipLink.href = '#/albums';
+skipLink.textContent = 'Skip the scratch-off and go to the albums';
+skipLink.addEventListener('click', (e) => {
+    e.preventDefault();
+    skipReveal();
+    (albumElements[0] || albumContainer).focus();
+});
+document.body.prepend(skipLink);
+
+const liveRegion = document.createElement('div');
+liveRegion.className = 'sr-only';
+liveRegion.setAttribute('role', 'status');
+liveRegion.setAttribute('aria-live', 'polite');
+document.body.appendChild(liveRegion);
+
+function announce(message) {
+    liveRegion.textContent = message;
+}
+
+// Reveal progress is announced in quarters, each only the first time it is reached
+let announcedQuarter = 0;
+function announceProgress(stats) {
+    const quarter = Math.min(3, Math.floor(stats.total * 4));
+    if (!phases.is('idle-hint', 'scratching') || quarter <= announcedQuarter) return;
+    announcedQuarter = quarter;
+    announce(`${quarter * 25}% revealed`);
+}
+
+// Completed reveals are remembered in localStorage so returning visitors can skip ahead; forgetting
+// them forgets the unlocked albums too
+const progress = new Progress({
+    storage: {
+        getItem: (key) => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, value),
+        removeItem: (key) => localStorage.removeItem(key)
+    },
+    alsoClears: [UNLOCKED_KEY]
+});
+
+// ?reset forgets this browser's saved progress
+if (new URLSearchParams(window.location.search).has('reset')) progress.clear();
+
+// Welcome-back panel for returning visitors, with a skip and a way to forget them
+const welcome = document.createElement('div');
+welcome.className = 'welcome panel hidden';
+const savedProgress = progress.load();
+if (savedProgress.completions > 0) {
+    const message = document.createElement('span');
+    message.textContent = savedProgress.bestRevealMs
+        ? `Welcome back. Best time ${(savedProgress.bestRevealMs / 1000).toFixed(1)}s.`
+        : 'Welcome back.';
+
+    const skipButton = document.createElement('button');
+    skipButton.type = 'button';
+    skipButton.className = 'panel-button';
+    skipButton.textContent = 'Skip to albums';
+    skipButton.addEventListener('click', () => skipReveal());
+
+    const forgetButton = document.createElement('button');
+    forgetButton.type = 'button';
+    forgetButton.className = 'panel-button';
+    forgetButton.textContent = 'Forget me';
+    forgetButton.addEventListener('click', () => {
+        progress.clear();
+        welcome.classList.add('hidden');
+    });
 
-    let last = performance.now();
-    function loop(now) {
-        const dt = clamp((now - last) / 1000, 0, 0.05);
-        last = now;
-        frameCount++;
-
-        // Base black background
-        ctx.fillStyle = '#000';
-        ctx.fillRect(0, 0, state.size.w, state.size.h);
-
-        // Fade out player and gradually reveal remaining ink
-        if (isRevealed) {
-            if (fadeDelay < 2) {
-                fadeDelay += dt;
-                // Fade player out over 2 seconds
-                playerOpacity = Math.max(0, 1 - (fadeDelay / 2));
-                // Fade instructional text at same rate
-                const instructions = document.getElementById('instructions');
-                if (instructions) {
-                    instructions.style.opacity = playerOpacity;
-                }
-                // Gradually reveal remaining ink over same 2 seconds
-                const revealAmount = fadeDelay / 2; // 0 to 1 over 2 seconds
-                inkCtx.globalCompositeOperation = 'destination-out';
-                inkCtx.globalAlpha = revealAmount * 0.5; // Gradual fade
-                inkCtx.fillStyle = '#000';
-                inkCtx.fillRect(0, 0, state.size.w, state.size.h);
-                inkCtx.globalAlpha = 1;
-                inkCtx.globalCompositeOperation = 'source-over';
-            }
-            if (fadeDelay >= 1.5 && revealProgress < 1) {
-                // Start text animation after 1.5 second delay
-                revealProgress = Math.min(1, revealProgress + dt * 0.333); // 3 second animation
-                // Ease out cubic for smooth deceleration
-                const eased = 1 - Math.pow(1 - revealProgress, 3);
-                const minSide = Math.min(state.size.w, state.size.h);
-                const fontSize = Math.floor(minSide * 0.22);
-                // Keep text visible with minimum margin from top
-                const minMargin = Math.max(50, fontSize * 0.5);
-                const targetY = minMargin + fontSize / 2;
-                textYOffset = (state.size.h / 2 - targetY) * eased;
-
-                // Show albums rising with text, evenly spaced across text width
-                const albumSize = Math.min(120, minSide * 0.15);
-                ctx.measureText('FNGRNCTR');
-                const textWidth = ctx.measureText('FNGRNCTR').width;
-                const textCenterX = state.size.w / 2;
-                const textStartX = textCenterX - textWidth / 2;
-                const currentTextY = state.size.h / 2 - textYOffset;
-                const albumY = currentTextY + fontSize * 1.2; // Position below text with more space
-
-                albumElements.forEach((elem, i) => {
-                    // Spread from left edge to right edge of text (albums evenly distributed)
-                    const x = textStartX + (i / (albums.length - 1)) * (textWidth - albumSize);
-                    const startY = state.size.h + 100; // Start completely below screen
-                    const y = startY + (albumY - startY) * eased;
-
-                    elem.style.left = Math.round(x) + 'px';
-                    elem.style.top = Math.round(y) + 'px';
-                    elem.style.width = albumSize + 'px';
-                    elem.style.height = albumSize + 'px';
-                    elem.style.transform = 'none';
-                    elem.style.zIndex = 100 + (albums.length - 1 - i);
-                });
-
-                albumContainer.style.opacity = '1';
-                albumContainer.style.pointerEvents = 'none';
-            }
-            // After text animation completes, show countdown with orbiting albums then redirect
-            if (revealProgress >= 1) {
-                redirectTimer += dt;
-
-                // Show and animate albums during countdown (first 5 seconds)
-                if (redirectTimer < 5) {
-                    // Speed increases as countdown progresses (0.5x to 2.5x speed)
-                    const speedMultiplier = 0.5 + (redirectTimer / 5) * 2;
-                    orbitAngle += dt * 1.5 * speedMultiplier; // Base speed: 1.5 rad/sec
-
-                    const minSide = Math.min(state.size.w, state.size.h);
-                    const albumSize = Math.min(120, minSide * 0.15);
-                    const orbitRadius = Math.min(200, minSide * 0.25);
-                    const centerX = state.size.w / 2;
-                    const centerY = state.size.h / 2;
-
-                    albumElements.forEach((elem, i) => {
-                        const data = albumOrbitData[i];
-                        const angle = orbitAngle + data.angleOffset;
-
-                        // Calculate orbit position
-                        const x = centerX + Math.cos(angle) * orbitRadius - albumSize / 2;
-                        const y = centerY + Math.sin(angle) * orbitRadius - albumSize / 2;
-
-                        elem.style.left = Math.round(x) + 'px';
-                        elem.style.top = Math.round(y) + 'px';
-
-                        // Update rotation for 3D spinning effect
-                        data.rotationY += dt * 180 * speedMultiplier; // Spin on Y axis
-                        data.rotationX = Math.sin(angle * 2) * 15; // Subtle wobble on X axis
-
-                        // Apply sizing and 3D transform
-                        elem.style.width = albumSize + 'px';
-                        elem.style.height = albumSize + 'px';
-                        elem.style.transform = `perspective(1000px) rotateX(${data.rotationX}deg) rotateY(${data.rotationY}deg)`;
-                        elem.style.zIndex = 100 + (albums.length - 1 - i);
-                    });
-
-                    albumContainer.style.opacity = '1';
-                    albumContainer.style.pointerEvents = 'none';
-                } else if (redirectTimer >= 5 && redirectTimer < 6) {
-                    // Black screen for 1 second before redirect
-                    albumContainer.style.opacity = '0';
-                } else {
-                    // Hide albums before redirect
-                    albumContainer.style.opacity = '0';
-                }
-
-                if (redirectTimer >= 6) {
-                    window.location.href = 'https://www.theknot.com/fngrnctr';
-                    return; // Stop the loop after redirect
-                }
-            }
+    welcome.append(message, skipButton, forgetButton);
+    welcome.classList.remove('hidden');
+}
+document.body.appendChild(welcome);
+
+// Challenge mode: the level and time left while playing, a result panel between levels and a
+// leaderboard of the best runs, opened when a run ends and afterwards with L or the ★ button
+const LEVEL_PAUSE = 4; // Seconds the result panel shows before the next level starts
+let levelClearedAt = 0; // Simulation time (s) the last level ended
+let openLeaderboardOnSettle = false; // A run just ended; show where it placed once the albums settle
+let lastRank = -1; // Leaderboard rank of this visit's run, for highlighting
+const leaderboard = new Leaderboard({
+    storage: {
+        getItem: (key) => localStorage.getItem(key),
+        setItem: (key, value) => localStorage.setItem(key, value)
+    }
+});
+
+const challengeStatus = document.createElement('div');
+challengeStatus.className = challenge ? 'challenge-status panel' : 'challenge-status panel hidden';
+document.body.appendChild(challengeStatus);
+
+// Seconds of play on the current level, from the first move
+function levelElapsed() {
+    return phases.is('idle-hint') ? 0 : scratch.time - scratch.revealStartedAt;
+}
+
+function updateChallengeStatus() {
+    const level = challenge.level;
+    const left = Math.ceil(challenge.timeLeft(levelElapsed()));
+    challengeStatus.textContent = `Level ${challenge.index + 1}/${challenge.levels.length} · ` +
+        `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')} · ${challenge.total} pts`;
+    challengeStatus.classList.toggle('urgent', left <= 5 && !phases.is('idle-hint'));
+    challengeStatus.title = level.phrase.join(' ');
+}
+
+const levelPanel = document.createElement('div');
+levelPanel.className = 'level-panel panel hidden';
+const levelMessage = document.createElement('span');
+const nextLevelButton = document.createElement('button');
+nextLevelButton.type = 'button';
+nextLevelButton.className = 'panel-button';
+nextLevelButton.textContent = 'Next level';
+nextLevelButton.addEventListener('click', () => nextLevel());
+levelPanel.append(levelMessage, nextLevelButton);
+document.body.appendChild(levelPanel);
+
+// Score the level that just ended from what is uncovered now
+function finishChallengeLevel(revealed) {
+    const result = challenge.finishLevel({ coverage: measureReveal(revealMask, ink.ctx).total, elapsed: levelElapsed(), revealed });
+    const summary = revealed
+        ? `Level ${challenge.index + 1} cleared in ${result.elapsed.toFixed(1)}s: ${result.score} points.`
+        : `Time's up on level ${challenge.index + 1}: ${Math.floor(result.coverage * 100)}% uncovered, ${result.score} points.`;
+    announce(summary);
+    return summary;
+}
+
+// Runs after each fixed step, on the simulation clock so a recorded run replays the same levels
+function stepChallenge() {
+    // Out of time: the level ends with whatever is uncovered
+    if (phases.is('scratching') && challenge.timeLeft(levelElapsed()) <= 0) {
+        phases.go(challenge.isLastLevel ? 'revealed-fade' : 'level-clear', { timedOut: true, revealMs: levelElapsed() * 1000 });
+    }
+    if (phases.is('level-clear') && scratch.time - levelClearedAt >= LEVEL_PAUSE) nextLevel();
+}
+
+function nextLevel() {
+    if (!phases.is('level-clear')) return;
+    levelPanel.classList.add('hidden');
+    applyLevel(challenge.advance());
+    ink.refill();
+    scratch.restart();
+    announcedQuarter = 0;
+    phases.go('idle-hint');
+    updateHud();
+    announce(`Level ${challenge.index + 1} of ${challenge.levels.length}: ${challenge.level.phrase.join(' ')}. ` +
+        `${challenge.level.timeLimit} seconds from your first move.`);
+}
+
+// The last level ended: put the run on the board (replays don't count)
+function endChallenge(revealed) {
+    finishChallengeLevel(revealed);
+    if (!replay) {
+        lastRank = leaderboard.add({
+            score: challenge.total,
+            date: new Date().toISOString(),
+            levels: challenge.results.map((result) => result.score)
+        });
+    }
+    announce(`Challenge over: ${challenge.total} points` + (lastRank !== -1 ? `, number ${lastRank + 1} on the leaderboard.` : '.'));
+    openLeaderboardOnSettle = true;
+}
+
+const leaderboardButton = document.createElement('button');
+leaderboardButton.type = 'button';
+leaderboardButton.className = 'help-button leaderboard-button hidden';
+leaderboardButton.textContent = '★';
+leaderboardButton.setAttribute('aria-label', 'Leaderboard');
+document.body.appendChild(leaderboardButton);
+
+const leaderboardOverlay = document.createElement('div');
+leaderboardOverlay.className = 'help-overlay hidden';
+leaderboardOverlay.setAttribute('role', 'dialog');
+leaderboardOverlay.setAttribute('aria-label', 'Leaderboard');
+const leaderboardPanel = document.createElement('div');
+leaderboardPanel.className = 'panel help-panel';
+document.body.appendChild(leaderboardOverlay);
+leaderboardOverlay.appendChild(leaderboardPanel);
+let leaderboardOpen = false;
+
+function renderLeaderboard() {
+    leaderboardPanel.textContent = '';
+    const title = document.createElement('div');
+    title.className = 'help-title';
+    title.textContent = 'Leaderboard';
+    leaderboardPanel.appendChild(title);
+    if (leaderboard.entries.length === 0) {
+        leaderboardPanel.append('No runs yet. Open the page with ?challenge to play for a score.');
+    } else {
+        const list = document.createElement('ol');
+        list.className = 'leaderboard-list';
+        leaderboard.entries.forEach((entry, i) => {
+            const item = document.createElement('li');
+            item.classList.toggle('current', i === lastRank);
+            const date = new Date(entry.date);
+            item.textContent = `${entry.score} pts` + (Number.isNaN(date.getTime()) ? '' : ` · ${date.toLocaleDateString()}`);
+            if (i === lastRank) item.setAttribute('aria-current', 'true');
+            list.appendChild(item);
+        });
+        leaderboardPanel.appendChild(list);
+        const clear = document.createElement('button');
+        clear.type = 'button';
+        clear.className = 'panel-button';
+        clear.textContent = 'Clear scores';
+        clear.addEventListener('click', (e) => {
+            e.stopPropagation();
+            leaderboard.clear();
+            lastRank = -1;
+            renderLeaderboard();
+        });
+        leaderboardPanel.appendChild(clear);
+    }
+    const close = document.createElement('div');
+    close.className = 'help-close';
+    close.textContent = 'Tap anywhere or press L to close';
+    leaderboardPanel.appendChild(close);
+}
+
+function setLeaderboardOpen(open) {
+    if (open === leaderboardOpen) return;
+    leaderboardOpen = open;
+    if (open) renderLeaderboard();
+    leaderboardOverlay.classList.toggle('hidden', !open);
+    leaderboardButton.classList.toggle('hidden', open || !phases.settled);
+}
+
+leaderboardButton.addEventListener('click', () => setLeaderboardOpen(true));
+leaderboardOverlay.addEventListener('click', () => setLeaderboardOpen(false));
+input.onAction('leaderboard', () => {
+    if (!phases.settled) return false;
+    setLeaderboardOpen(!leaderboardOpen);
+    return true;
+});
+
+// Input recording and replay: ?record captures the input of every simulation step and R saves
+// the run as JSON; ?replay=<url> plays a saved run back in place of live input. Both keep the
+// re-ink fade on the main thread so the ink matches step for step, and a run also stores the
+// steps after which a frame ran the fade (fades), as a pass's result depends on how many steps it covers.
+const RECORDING_VERSION = 2;
+const sessionParams = new URLSearchParams(window.location.search);
+const recording = sessionParams.has('record') ? { frames: [], fades: [], lastJson: null } : null;
+let replay = null; // { frames, index, current, end, fades, fadeIndex } while a run plays back
+let replayLoading = false;
+if (recording || sessionParams.has('replay')) ink.dropWorker();
+
+// Input for the next step: the replayed run's, otherwise live (and recorded when asked)
+function nextInputFrame() {
+    const live = input.sample(); // Sampled even during replay so live pointer trails don't pile up
+    if (replay) {
+        while (replay.index < replay.frames.length && replay.frames[replay.index][0] <= scratch.steps) {
+            replay.current = replay.frames[replay.index++][1];
         }
-
-        // Backdrop text revealed by erasing: "FNGRNCTR" in white Impact
-        const minSide = Math.min(state.size.w, state.size.h);
-        const fontSize = Math.floor(minSide * 0.22);
-        ctx.fillStyle = '#fff';
-        ctx.textAlign = 'center';
-        ctx.textBaseline = 'middle';
-        ctx.font = `${fontSize}px Impact, Haettenschweiler, 'Arial Black', sans-serif`;
-        ctx.fillText('FNGRNCTR', state.size.w / 2, state.size.h / 2 - textYOffset);
-
-        player.update(dt, input, !isRevealed);
-
-        // Apply jiggle movement to actual player position
-        if (jiggleActive && !hasInteracted) {
-            const time = Date.now() / 1000;
-            const freq = 4.0;
-            const jiggleDuration = idleTime;
-            // Max amplitude increases with each cycle: 2px -> 4px -> 6px
-            const maxAmplitudeForCycle = Math.min(6.0, 2.0 + jiggleCycleCount * 2.0);
-            const amplitude = Math.min(maxAmplitudeForCycle, 1.0 + Math.floor(jiggleDuration / 0.5));
-
-            // Apply small velocity changes to create jiggle movement
-            const jiggleVelX = Math.cos(time * freq) * amplitude * 20; // Velocity component
-            const jiggleVelY = Math.sin(time * freq * 1.5) * amplitude * 16;
-            player.vel.x = jiggleVelX;
-            player.vel.y = jiggleVelY;
-
-            idleTime += dt;
-
-            // Duration increases with each cycle: 1s -> 2s -> 3s
-            const jiggleDurationForCycle = Math.min(3.0, 1.0 + jiggleCycleCount);
-
-            // Stop jiggling after duration
-            if (idleTime >= jiggleDurationForCycle) {
-                jiggleActive = false;
-                idleTime = 0;
-                postJigglePause = 0;
-                jiggleCycleCount++; // Increment cycle count for next jiggle
-            }
+        if (scratch.steps < replay.end && replay.current) return new InputFrame(replay.current);
+        announce('Replay finished; back to live input.');
+        replay = null;
+    }
+    if (recording) {
+        // Only steps whose input changed are stored
+        const json = JSON.stringify(live.data);
+        if (json !== recording.lastJson) {
+            recording.frames.push([scratch.steps, live.data]);
+            recording.lastJson = json;
         }
-
-        // Erase only after first interaction/movement so no red shows initially
-        const speed = player.vel.len();
-        // Only count actual user input as active, not jiggle movement or coasting
-        const userInput = input.pointerActive || input.keys.size > 0;
-        const isActive = userInput;
-        if (!hasInteracted && isActive) {
-            hasInteracted = true;
-            // Immediately stop any active jiggle when user interacts
-            if (jiggleActive) {
-                jiggleActive = false;
-                idleTime = 0;
-                postJigglePause = 0;
-                jiggleCycleCount = 0; // Reset cycle count
+    }
+    return live;
+}
+
+function saveRecording() {
+    const run = {
+        version: RECORDING_VERSION,
+        step: SIM_STEP,
+        size: { ...state.size },
+        phrase: config.phrase.lines,
+        steps: scratch.steps,
+        frames: recording.frames,
+        fades: recording.fades
+    };
+    const url = URL.createObjectURL(new Blob([JSON.stringify(run)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'fngrnctr-run.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+input.onAction('save', () => {
+    if (!recording) return false;
+    saveRecording();
+    return true;
+});
+
+async function loadReplay(url) {
+    replayLoading = true;
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const run = await response.json();
+        if (run.version !== RECORDING_VERSION || run.step !== SIM_STEP ||
+            !Number.isInteger(run.steps) || !Array.isArray(run.frames) || !run.frames.length || !Array.isArray(run.fades)) {
+            throw new Error('not a recorded run (or from an incompatible version)');
+        }
+        const size = run.size || {};
+        if (size.w !== state.size.w || size.h !== state.size.h || size.dpr !== state.size.dpr ||
+            JSON.stringify(run.phrase) !== JSON.stringify(config.phrase.lines)) {
+            console.warn(`[replay] Recorded at ${size.w}x${size.h}@${size.dpr}x with phrase "${[].concat(run.phrase).join(' / ')}"; ` +
+                'this page differs, so the reveal may not match');
+        }
+        replay = { frames: run.frames, index: 0, current: null, end: run.steps, fades: run.fades, fadeIndex: 0 };
+        welcome.classList.add('hidden');
+    } catch (err) {
+        console.error(`[replay] Could not load ${url}:`, err);
+    }
+    replayLoading = false;
+}
+if (sessionParams.has('replay')) loadReplay(sessionParams.get('replay'));
+
+// Co-op (?coop): peers' icons and brush stamps arrive from the relay and erase this page's ink
+// too. Peers' strokes can't be recorded or replayed, so co-op stays off for those.
+const coopStatus = document.createElement('div');
+coopStatus.className = 'coop-status panel hidden';
+coopStatus.setAttribute('aria-hidden', 'true'); // Joins and leaves are announced instead
+document.body.appendChild(coopStatus);
+let coop = null;
+if (config.coop.url && (recording || sessionParams.has('replay'))) {
+    console.warn('[coop] Co-op is off while recording or replaying a run');
+} else if (config.coop.url) {
+    coop = new CoopSession({
+        url: config.coop.url,
+        room: config.coop.room,
+        frame: () => ({ x: state.size.w / 2, y: state.size.h / 2, unit: textLayout.fontSize }),
+        onStamp: (x, y, radius, softness) => scratch.peerStamp(x, y, radius, softness),
+        onChange: (change) => {
+            coopStatus.classList.toggle('hidden', !coop.connected);
+            coopStatus.style.borderColor = coop.tint;
+            coopStatus.textContent = `Co-op · ${coop.room} · ${coop.playerCount} ${coop.playerCount === 1 ? 'player' : 'players'}`;
+            const messages = {
+                connected: coop.playerCount === 1
+                    ? `Joined co-op room ${coop.room}; nobody else is here yet.`
+                    : `Joined co-op room ${coop.room} with ${coop.playerCount - 1} other ${coop.playerCount === 2 ? 'player' : 'players'}.`,
+                joined: 'Another player joined.',
+                left: 'A player left.',
+                disconnected: 'Lost the co-op relay; playing alone until it is back.'
+            };
+            announce(messages[change]);
+        }
+    });
+    coop.connect();
+}
+
+// One-off reactions to phase changes; the loop animates whichever phase is current
+phases.on('revealed-fade', {
+    enter: ({ revealMs, timedOut = false }) => {
+        sound.chime();
+        // Challenge runs are scored on the leaderboard, not as reveal times
+        if (!replay && !timedOut && !challenge) progress.recordCompletion(revealMs);
+        welcome.classList.add('hidden');
+        announce(`Revealed: ${config.phrase.lines.join(' ')}` + (recording ? '. Run recorded; press R to save it.' : ''));
+        if (challenge) {
+            endChallenge(!timedOut);
+            challengeStatus.classList.add('hidden');
+        }
+    }
+});
+phases.on('level-clear', {
+    enter: ({ timedOut = false }) => {
+        if (!timedOut) sound.chime();
+        levelMessage.textContent = finishChallengeLevel(!timedOut);
+        levelPanel.classList.remove('hidden');
+        levelClearedAt = scratch.time;
+    }
+});
+phases.on('orbit', {
+    enter: ({ countdown }) => {
+        announce(`Leaving this page in ${countdown} seconds.` +
+            (config.afterReveal.cancellable ? ' Press any key to stay with the albums.' : ''));
+        const instructions = document.getElementById('instructions');
+        if (instructions && config.afterReveal.cancellable) {
+            instructions.textContent = 'Press any key or tap to stay.';
+            instructions.style.opacity = '1';
+        }
+    },
+    exit: () => sound.stopOrbit()
+});
+phases.on('exit', {
+    enter: () => {
+        // Hide albums and hint during the blank screen before redirect
+        const instructions = document.getElementById('instructions');
+        albumContainer.style.opacity = '0';
+        if (instructions) instructions.style.opacity = '0';
+    }
+});
+['album-grid', 'album-focus'].forEach((phase) => phases.on(phase, {
+    enter: () => {
+        const instructions = document.getElementById('instructions');
+        if (instructions) instructions.style.opacity = '0';
+        skipLink.classList.add('hidden');
+        // A challenge skipped partway through leaves its panels behind
+        challengeStatus.classList.add('hidden');
+        levelPanel.classList.add('hidden');
+        leaderboardButton.classList.toggle('hidden', leaderboardOpen || (leaderboard.entries.length === 0 && !challenge));
+        if (openLeaderboardOnSettle) {
+            openLeaderboardOnSettle = false;
+            setLeaderboardOpen(true);
+        }
+    }
+}));
+phases.on('album-grid', {
+    enter: () => {
+        albumTheme = null;
+        applyTheme(currentTheme());
+        announce(albums.length > 0
+            ? `${albums.length} albums. Use Tab or the arrow keys to pick one and Enter to see its tracks.`
+            : 'Albums');
+    }
+});
+phases.on('album-focus', {
+    enter: ({ album: slug }) => {
+        const album = albums.find((entry) => entry.slug === slug);
+        // Before the embed is laid out, so it picks up the album's colors
+        albumTheme = album && album.theme ? resolveTheme(album.theme, config.themes[themeName], config.themes) : null;
+        applyTheme(currentTheme());
+        if (album) announce(`${album.title}, ${album.tracks.length} ${album.tracks.length === 1 ? 'track' : 'tracks'}`);
+    }
+});
+
+let last = performance.now();
+function loop(now) {
+    const dt = clamp((now - last) / 1000, 0, 0.05);
+    last = now;
+    input.pollGamepad();
+
+    // Theme background, seen where the ink is scratched away
+    ctx.fillStyle = activeTheme.background;
+    ctx.fillRect(0, 0, state.size.w, state.size.h);
+
+    // Fade out player and gradually reveal remaining ink, then raise the text and settle or orbit the albums
+    if (phases.revealed) {
+        const step = sequence.update(dt);
+        const instructions = document.getElementById('instructions');
+        if (step.inkFade !== null) {
+            // Fade instructional text at same rate as the player
+            if (instructions) {
+                instructions.style.opacity = sequence.playerOpacity;
             }
+            hud.style.opacity = sequence.playerOpacity;
+            if (sequence.playerOpacity === 0) hud.classList.add('hidden');
+            ink.thin(step.inkFade * 0.5); // Gradual fade
         }
+        if (step.rise !== null) {
+            const minSide = Math.min(state.size.w, state.size.h);
+            const fontSize = textLayout.fontSize;
+            textYOffset = risenTextOffset() * step.rise;
 
-        // Jiggle hint logic: start after delay if no interaction, stop when interacting
-        if (!hasInteracted && !isActive) {
-            // Check if player is at rest (very low velocity)
-            const isAtRest = speed < 0.1;
+            // Show albums rising with text, evenly spaced across text width
+            const albumSize = Math.min(120, minSide * 0.15);
+            const bounds = textBounds(textLayout, state.size, state.size.h / 2 - textYOffset);
+            const albumY = bounds.y + bounds.h + fontSize * 0.65; // Position below text with more space
 
-            if (isAtRest && !jiggleActive) {
-                postJigglePause += dt;
+            albumElements.forEach((elem, i) => {
+                // Spread from left edge to right edge of text (albums evenly distributed)
+                const x = bounds.x + (i / Math.max(1, albums.length - 1)) * (bounds.w - albumSize);
+                const startY = state.size.h + 100; // Start completely below screen
+                const y = startY + (albumY - startY) * step.rise;
 
-                // Start jiggling after delay
-                if (postJigglePause >= JIGGLE_DELAY) {
-                    jiggleActive = true;
-                    idleTime = 0; // Reset for tracking jiggle duration
-                    postJigglePause = 0;
-                }
-            }
-        } else if (isActive) {
-            if (jiggleActive) {
-                jiggleActive = false;
-            }
-            idleTime = 0;
-            postJigglePause = 0;
-            jiggleCycleCount = 0; // Reset cycle count on interaction
-        }
+                elem.style.left = Math.round(x) + 'px';
+                elem.style.top = Math.round(y) + 'px';
+                elem.style.width = albumSize + 'px';
+                elem.style.height = albumSize + 'px';
+                elem.style.transform = 'none';
+                elem.style.zIndex = 100 + (albums.length - 1 - i);
+            });
 
-        // Check reveal percentage only when not revealed, when active, and throttled to every 5 frames
-        if (!isRevealed && hasInteracted && isActive && frameCount % 5 === 0) {
-            const revealPct = calculateRevealPercentage();
-            if (revealPct >= 0.95) {
-                isRevealed = true;
-            }
+            albumContainer.style.opacity = '1';
+            albumContainer.style.pointerEvents = 'none';
         }
+        // After text animation completes, either settle the albums in place or
+        // show the countdown with orbiting albums and then redirect
+        if (step.settle) settleAlbums(step.settle.slug);
+        // Under reduced motion the albums wait where they rose to through the countdown
+        if (step.orbit && !reducedMotion) {
+            const { speedMultiplier } = step.orbit;
+            sound.orbit(speedMultiplier);
+            const minSide = Math.min(state.size.w, state.size.h);
+            const albumSize = Math.min(120, minSide * 0.15);
+            const orbitRadius = Math.min(200, minSide * 0.25);
+            const centerX = state.size.w / 2;
+            const centerY = state.size.h / 2;
 
-        // Re-ink only when idle, so revealed text persists while moving
-        // Also apply during jiggle cycle when not actively jiggling
-        const reinkCondition = (hasInteracted || postJigglePause > 0 || idleTime > 0) && !isRevealed;
-
-        if (reinkCondition) {
-            // Skip expensive pixel processing while actively erasing for smoother mobile performance
-            if (!isActive) {
-                // Check for pixels that need to fade
-                const now = Date.now();
-                const fadeDelay = 3000; // 4 seconds after last reveal
-                const fadeDuration = 4500; // Fade over 6 seconds
-
-                // Calculate fade rate from duration (opacity units per second)
-                const fadeRate = 255 / (fadeDuration / 1000);
-
-                // Get timestamp and ink data
-                const tsData = timestampCtx.getImageData(0, 0, timestampCanvas.width, timestampCanvas.height);
-                const tsPixels = tsData.data;
-                const inkData = inkCtx.getImageData(0, 0, inkCanvas.width, inkCanvas.height);
-                const inkPixels = inkData.data;
-
-                let anyFading = false;
-
-                for (let i = 0; i < tsPixels.length; i += 4) {
-                    // Skip fully opaque pixels for performance
-                    if (inkPixels[i + 3] === 255) continue;
-
-                    // Decode 32-bit timestamp from RGBA (in milliseconds)
-                    const timestamp = (tsPixels[i] << 24) | (tsPixels[i + 1] << 16) | (tsPixels[i + 2] << 8) | tsPixels[i + 3];
-
-                    if (timestamp > 0) {
-                        const timeSinceReveal = now - timestamp;
-
-                        if (timeSinceReveal > fadeDelay) {
-                            anyFading = true;
-                            // Calculate fade progress for this pixel
-                            const fadeTime = timeSinceReveal - fadeDelay;
-                            const fadeProgress = Math.min(1.0, fadeTime / fadeDuration);
-
-                            // Quadratic easing for acceleration
-                            const easedProgress = fadeProgress * fadeProgress;
-
-                            // Target opacity (0 = transparent, 255 = black)
-                            const targetAlpha = Math.floor(easedProgress * 255);
-
-                            // Gradually increase alpha towards target (fade back to black)
-                            if (inkPixels[i + 3] < targetAlpha) {
-                                inkPixels[i + 3] = Math.min(255, inkPixels[i + 3] + Math.ceil(dt * fadeRate));
-                            }
-                        }
-                    }
-                }
-
-                if (anyFading) {
-                    inkCtx.putImageData(inkData, 0, 0);
-                }
-            }
+            albumElements.forEach((elem, i) => {
+                const data = albumOrbitData[i];
+                const angle = sequence.orbitAngle + data.angleOffset;
 
-            // Track idle time for full reset
-            if (isActive || jiggleActive) {
-                inkAccumulator = 0;
-            } else {
-                inkAccumulator += dt;
-
-                // Full reset after sufficient idle time
-                if (inkAccumulator > 4.5 && inkAccumulator < 4.6) {
-                    inkCtx.globalAlpha = 1;
-                    inkCtx.fillStyle = '#000';
-                    inkCtx.fillRect(0, 0, state.size.w, state.size.h);
-                    timestampCtx.fillStyle = '#000';
-                    timestampCtx.fillRect(0, 0, state.size.w, state.size.h);
-                    inkAccumulator = 0;
-                }
-            }
-        }
+                // Calculate orbit position
+                const x = centerX + Math.cos(angle) * orbitRadius - albumSize / 2;
+                const y = centerY + Math.sin(angle) * orbitRadius - albumSize / 2;
 
-        // Don't re-ink during jiggle animation (allow text to be revealed)
-        if (jiggleActive && !hasInteracted) {
-            inkAccumulator = 0; // Keep accumulator at zero during jiggle
-        }
+                elem.style.left = Math.round(x) + 'px';
+                elem.style.top = Math.round(y) + 'px';
 
-        if (hasInteracted && isActive && !isRevealed) {
-            // Soft-edge circular brush with radius based on speed
-            const base = player.size * 0.55; // base brush size
-            const maxScreenRadius = Math.min(state.size.w, state.size.h) * 0.15; // max radius cap
-            // Normalize speed to 0..1; use gentle easing to avoid huge sizes
-            const sNorm = Math.min(1, speed / (player.maxSpeed || 400));
-            const ease = Math.sqrt(sNorm); // faster early growth, slower near cap
-            const radius = Math.max(18, base + ease * (maxScreenRadius - base));
-
-            inkCtx.globalCompositeOperation = 'destination-out';
-            const g = inkCtx.createRadialGradient(player.pos.x, player.pos.y, 0, player.pos.x, player.pos.y, radius);
-            g.addColorStop(0.0, 'rgba(0,0,0,1.0)');
-            g.addColorStop(0.6, 'rgba(0,0,0,0.15)');
-            g.addColorStop(1.0, 'rgba(0,0,0,0)');
-            inkCtx.fillStyle = g;
-            inkCtx.beginPath();
-            inkCtx.arc(player.pos.x, player.pos.y, radius, 0, Math.PI * 2);
-            inkCtx.fill();
-            inkCtx.globalCompositeOperation = 'source-over';
-
-            // Record timestamp when this pixel was revealed (encode 32-bit timestamp in RGBA)
-            // Use destination-over so we only write to pixels that don't already have a timestamp
-            const now = Date.now();
-            const r = (now >>> 24) & 0xFF;
-            const g_val = (now >>> 16) & 0xFF;
-            const b = (now >>> 8) & 0xFF;
-            const a = now & 0xFF;
-            timestampCtx.globalCompositeOperation = 'destination-over'; // Don't overwrite existing timestamps
-            timestampCtx.fillStyle = `rgba(${r},${g_val},${b},${a / 255})`;
-            timestampCtx.beginPath();
-            timestampCtx.arc(player.pos.x, player.pos.y, radius, 0, Math.PI * 2);
-            timestampCtx.fill();
-            timestampCtx.globalCompositeOperation = 'source-over';
-        }
+                // Update rotation for 3D spinning effect
+                data.rotationY += dt * 180 * speedMultiplier; // Spin on Y axis
+                data.rotationX = Math.sin(angle * 2) * 15; // Subtle wobble on X axis
+
+                // Apply sizing and 3D transform
+                elem.style.width = albumSize + 'px';
+                elem.style.height = albumSize + 'px';
+                elem.style.transform = `perspective(1000px) rotateX(${data.rotationX}deg) rotateY(${data.rotationY}deg)`;
+                elem.style.zIndex = 100 + (albums.length - 1 - i);
+            });
 
-        // Erase during jiggle animation (player is actually moving)
-        if (jiggleActive && !hasInteracted && !isRevealed) {
-            const base = player.size * 0.55;
-            const radius = Math.max(22, base);
-
-            inkCtx.globalCompositeOperation = 'destination-out';
-            const g = inkCtx.createRadialGradient(player.pos.x, player.pos.y, 0, player.pos.x, player.pos.y, radius);
-            g.addColorStop(0.0, 'rgba(0,0,0,1.0)');
-            g.addColorStop(0.6, 'rgba(0,0,0,0.15)');
-            g.addColorStop(1.0, 'rgba(0,0,0,0)');
-            inkCtx.fillStyle = g;
-            inkCtx.beginPath();
-            inkCtx.arc(player.pos.x, player.pos.y, radius, 0, Math.PI * 2);
-            inkCtx.fill();
-            inkCtx.globalCompositeOperation = 'source-over';
-
-            // Record timestamp (only for newly revealed pixels)
-            const now = Date.now();
-            const r = (now >>> 24) & 0xFF;
-            const g_val = (now >>> 16) & 0xFF;
-            const b = (now >>> 8) & 0xFF;
-            const a = now & 0xFF;
-            timestampCtx.globalCompositeOperation = 'destination-over';
-            timestampCtx.fillStyle = `rgba(${r},${g_val},${b},${a / 255})`;
-            timestampCtx.beginPath();
-            timestampCtx.arc(player.pos.x, player.pos.y, radius, 0, Math.PI * 2);
-            timestampCtx.fill();
-            timestampCtx.globalCompositeOperation = 'source-over';
+            albumContainer.style.opacity = '1';
+            albumContainer.style.pointerEvents = 'none';
+        }
+        if (step.redirect) {
+            window.location.href = config.afterReveal.url;
+            return; // Stop the loop after redirect
         }
+    }
 
-        // Composite ink layer onto main canvas (remaining black)
-        ctx.drawImage(inkCanvas, 0, 0, state.size.w, state.size.h);
+    // Backdrop text revealed by erasing: the configured phrase in the theme's text color
+    const textCenterY = state.size.h / 2 - textYOffset;
+    ctx.fillStyle = activeTheme.text;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.font = textLayout.font;
+    textLayout.lines.forEach((line) => {
+        ctx.fillText(line.text, state.size.w / 2, textCenterY + line.offsetY);
+    });
 
-        // Draw player icon on top
-        player.draw(ctx, playerOpacity);
+    // While help is open the scratch-off is frozen: no movement, erasing or re-ink
+    if (helpOpen) {
+        ctx.drawImage(ink.canvas, 0, 0, state.size.w, state.size.h);
+        world.draw(ctx, sequence.playerOpacity);
+        if (coop) {
+            coop.update(dt, player.pos);
+            coop.draw(ctx, player, sequence.playerOpacity);
+        }
+        requestAnimationFrame(loop);
+        return;
+    }
 
-        // Fade to black before redirect
-        if (revealProgress >= 1 && redirectTimer >= 5 && redirectTimer < 6) {
-            // Black screen after countdown reaches 1
-            ctx.fillStyle = '#000';
-            ctx.fillRect(0, 0, state.size.w, state.size.h);
+    // Advance the simulation in fixed steps; frames only present it. A replay starts at step 0 once loaded.
+    if (!replayLoading) stepAccumulator += dt;
+    while (stepAccumulator >= SIM_STEP) {
+        stepAccumulator -= SIM_STEP;
+        scratch.step(SIM_STEP, nextInputFrame());
+        if (challenge) stepChallenge();
+        if (replay && replay.fades[replay.fadeIndex] === scratch.steps) {
+            scratch.flushFade();
+            replay.fadeIndex++;
         }
+    }
+    // One re-ink pass a frame for the steps just taken; a replay runs them where the recording did
+    if (!replay && scratch.flushFade() && recording) recording.fades.push(scratch.steps);
+    sound.scratch(Math.min(1, scratch.strokeSpeed / player.maxSpeed));
+    if (challenge && !phases.revealed) updateChallengeStatus();
+    // Nudge the help button along with the idle jiggle
+    helpButton.classList.toggle('jiggle-hint', scratch.isJiggling());
+
+    // Composite ink layer onto main canvas (what is left of it)
+    ctx.drawImage(ink.canvas, 0, 0, state.size.w, state.size.h);
+
+    // Draw walls and collectibles, with the player icon on top
+    world.draw(ctx, sequence.playerOpacity);
+
+    // Co-op peers and everyone's tint
+    if (coop) {
+        coop.update(dt, player.pos);
+        coop.draw(ctx, player, sequence.playerOpacity);
+    }
 
-        requestAnimationFrame(loop);
+    // Blank screen between the countdown and the redirect
+    if (phases.is('exit')) {
+        ctx.fillStyle = activeTheme.background;
+        ctx.fillRect(0, 0, state.size.w, state.size.h);
     }
-    requestAnimationFrame(loop);
 
-    window.addEventListener('resize', () => {
-        player.pos.set(
-            clamp(player.pos.x, player.size / 2, state.size.w - player.size / 2),
-            clamp(player.pos.y, player.size / 2, state.size.h - player.size / 2)
-        );
-    });
-})();
+    requestAnimationFrame(loop);
+}
+applyRoute(); // Deep links open their album view straight away
+requestAnimationFrame(loop);
+
+window.addEventListener('resize', () => {
+    // Keep the player over the same part of the phrase
+    const pos = toCurrentLayout(player.pos.x, player.pos.y);
+    scratch.lastBrushPos = null;
+    player.pos.set(
+        clamp(pos.x, player.size / 2, state.size.w - player.size / 2),
+        clamp(pos.y, player.size / 2, state.size.h - player.size / 2)
+    );
+    // Keep risen text at the top for the new size
+    if (sequence.risen) textYOffset = risenTextOffset();
+});
@@ -0,0 +1,241 @@
+// Co-op relay: a small WebSocket server that passes each visitor's position and brush stamps on to
+// everyone else in the same room, so they all erase one shared ink layer. No dependencies; run it
+// with `npm run relay` (or `node relay.js [port]`) and open the page with ?coop.
+//
+// Messages are JSON text frames. The relay sends
+//   { type: 'welcome', id, tint, peers: [{ id, tint }] }  on joining
+//   { type: 'join', id, tint } / { type: 'leave', id }    as others come and go
+//   { type: 'full' }                                       before closing when the room is full
+// and forwards each 'move' and 'stamps' message from a visitor to the rest of the room with its id.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { pathToFileURL } from 'node:url';
+
+export const DEFAULT_PORT = 8787;
+export const ROOM_SIZE = 8; // One per cursor tint (PEER_TINTS in src/coop.js)
+export const MAX_PAYLOAD = 64 * 1024; // Bytes; larger frames close the connection
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const RELAYED_TYPES = ['move', 'stamps'];
+
+const OPCODES = { text: 0x1, close: 0x8, ping: 0x9, pong: 0xa };
+
+// Sec-WebSocket-Accept for a client's Sec-WebSocket-Key
+export function acceptKey(key) {
+    return createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// One unfragmented, unmasked frame, as a server sends them
+export function encodeFrame(payload, opcode = OPCODES.text) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+    header[0] = 0x80 | opcode;
+    return Buffer.concat([header, data]);
+}
+
+// Split complete frames off the front of buffer: { frames: [{ fin, opcode, masked, payload }], rest }.
+// Masked payloads are unmasked. Throws when a frame announces more than maxPayload bytes.
+export function decodeFrames(buffer, maxPayload = MAX_PAYLOAD) {
+    const frames = [];
+    let offset = 0;
+    while (buffer.length - offset >= 2) {
+        const fin = (buffer[offset] & 0x80) !== 0;
+        const opcode = buffer[offset] & 0x0f;
+        const masked = (buffer[offset + 1] & 0x80) !== 0;
+        let length = buffer[offset + 1] & 0x7f;
+        let pos = offset + 2;
+        if (length === 126) {
+            if (buffer.length < pos + 2) break;
+            length = buffer.readUInt16BE(pos);
+            pos += 2;
+        } else if (length === 127) {
+            if (buffer.length < pos + 8) break;
+            length = Number(buffer.readBigUInt64BE(pos));
+            pos += 8;
+        }
+        if (length > maxPayload) throw new Error(`frame of ${length} bytes is over the ${maxPayload} byte limit`);
+        const maskLength = masked ? 4 : 0;
+        if (buffer.length < pos + maskLength + length) break;
+        const payload = Buffer.from(buffer.subarray(pos + maskLength, pos + maskLength + length));
+        if (masked) {
+            const mask = buffer.subarray(pos, pos + 4);
+            for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+        }
+        frames.push({ fin, opcode, masked, payload });
+        offset = pos + maskLength + length;
+    }
+    return { frames, rest: buffer.subarray(offset) };
+}
+
+// Visitors grouped by room name. A client is anything with send(object) and close(code, reason).
+export class Rooms {
+    constructor({ size = ROOM_SIZE } = {}) {
+        this.size = size;
+        this.rooms = new Map(); // name -> Map(id -> client)
+        this.nextId = 1;
+    }
+
+    // Add a client to a room; returns its { id, tint }, or null when the room is full
+    join(name, client) {
+        const room = this.rooms.get(name) || new Map();
+        if (room.size >= this.size) {
+            client.send({ type: 'full' });
+            client.close(1013, 'Room is full');
+            return null;
+        }
+        // The lowest tint nobody in the room is using, so cursors stay distinct
+        const used = new Set([...room.values()].map((other) => other.tint));
+        let tint = 0;
+        while (used.has(tint)) tint++;
+        const id = this.nextId++;
+        const peers = [...room.values()].map((other) => ({ id: other.id, tint: other.tint }));
+        Object.assign(client, { id, tint, room: name });
+        this.broadcast(name, { type: 'join', id, tint });
+        room.set(id, client);
+        this.rooms.set(name, room);
+        client.send({ type: 'welcome', id, tint, peers });
+        return { id, tint };
+    }
+
+    leave(client) {
+        const room = this.rooms.get(client.room);
+        if (!room || !room.delete(client.id)) return;
+        if (room.size === 0) this.rooms.delete(client.room);
+        else this.broadcast(client.room, { type: 'leave', id: client.id });
+    }
+
+    // Pass a visitor's message on to the rest of its room; anything else is dropped
+    relay(client, message) {
+        if (!message || !RELAYED_TYPES.includes(message.type) || !this.rooms.has(client.room)) return;
+        this.broadcast(client.room, { ...message, id: client.id }, client);
+    }
+
+    broadcast(name, message, except = null) {
+        const room = this.rooms.get(name);
+        if (!room) return;
+        room.forEach((client) => {
+            if (client !== except) client.send(message);
+        });
+    }
+}
+
+// A WebSocket connection on an upgraded socket: JSON messages in and out, answering pings
+class Connection {
+    constructor(socket, { onMessage, onClose }) {
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+        this.onClose = onClose;
+        socket.on('data', (chunk) => {
+            this.buffer = Buffer.concat([this.buffer, chunk]);
+            let decoded;
+            try {
+                decoded = decodeFrames(this.buffer);
+            } catch (err) {
+                this.close(1009, err.message);
+                return;
+            }
+            this.buffer = decoded.rest;
+            decoded.frames.forEach((frame) => {
+                if (this.closed) return;
+                if (!frame.masked || !frame.fin) {
+                    // Browsers mask every frame and don't fragment messages this small
+                    this.close(1002, 'Expected masked, unfragmented frames');
+                } else if (frame.opcode === OPCODES.text) {
+                    let message;
+                    try {
+                        message = JSON.parse(frame.payload.toString('utf8'));
+                    } catch (err) {
+                        return; // Not JSON: ignore it
+                    }
+                    onMessage(message);
+                } else if (frame.opcode === OPCODES.ping) {
+                    socket.write(encodeFrame(frame.payload, OPCODES.pong));
+                } else if (frame.opcode === OPCODES.close) {
+                    this.close(1000);
+                }
+            });
+        });
+        // Upgraded HTTP sockets allow half-open connections, so a visitor vanishing only ends their side
+        socket.on('end', () => {
+            socket.end();
+            this.finish();
+        });
+        socket.on('close', () => this.finish());
+        socket.on('error', () => this.finish());
+    }
+
+    send(message) {
+        if (!this.closed) this.socket.write(encodeFrame(JSON.stringify(message)));
+    }
+
+    close(code = 1000, reason = '') {
+        if (this.closed) return;
+        const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+        payload.writeUInt16BE(code, 0);
+        payload.write(reason, 2);
+        this.socket.end(encodeFrame(payload, OPCODES.close));
+        this.finish();
+    }
+
+    finish() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose();
+    }
+}
+
+// An HTTP server that accepts WebSocket upgrades at any path, with the room from ?room= (default
+// "lobby"). Call listen(port) on the result.
+export function createRelay({ size = ROOM_SIZE, log = () => {} } = {}) {
+    const rooms = new Rooms({ size });
+    const server = createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('fngrnctr co-op relay: connect with a WebSocket\n');
+    });
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if ((req.headers.upgrade || '').toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        const room = new URL(req.url, 'http://relay').searchParams.get('room') || 'lobby';
+        const client = new Connection(socket, {
+            onMessage: (message) => rooms.relay(client, message),
+            onClose: () => {
+                if (client.id === undefined) return;
+                rooms.leave(client);
+                log(`[relay] Player ${client.id} left "${room}"`);
+            }
+        });
+        if (rooms.join(room, client)) log(`[relay] Player ${client.id} joined "${room}"`);
+    });
+    server.rooms = rooms;
+    return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = Number(process.argv[2] || process.env.PORT || DEFAULT_PORT);
+    createRelay({ log: console.log }).listen(port, () => {
+        console.log(`[relay] Listening on ws://localhost:${port}`);
+    });
+}
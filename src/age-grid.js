@@ -0,0 +1,51 @@
+// When each cell of a coarse grid over the screen was first revealed, in fade-clock ms (0 = never).
+// The brush stamps into it and the re-ink fade reads from it.
+export class AgeGrid {
+    constructor(cellSize = 2) {
+        this.cellSize = cellSize; // CSS px per cell
+        this.w = 0;
+        this.h = 0;
+        this.ages = new Float64Array(0);
+    }
+
+    // Cover a w x h CSS px area, resampling the existing ages (nearest neighbour).
+    // toOld maps a point in the new area to the old one; by default the old area is stretched to fit.
+    resize(w, h, toOld = null) {
+        const s = this.cellSize;
+        const gw = Math.max(1, Math.ceil(w / s));
+        const gh = Math.max(1, Math.ceil(h / s));
+        const ages = new Float64Array(gw * gh);
+        if (this.w > 0) {
+            const sx = this.w / gw, sy = this.h / gh;
+            const map = toOld || ((x, y) => ({ x: x * sx, y: y * sy }));
+            for (let y = 0; y < gh; y++) {
+                for (let x = 0; x < gw; x++) {
+                    const p = map((x + 0.5) * s, (y + 0.5) * s);
+                    const ox = Math.floor(p.x / s), oy = Math.floor(p.y / s);
+                    if (ox >= 0 && oy >= 0 && ox < this.w && oy < this.h) ages[y * gw + x] = this.ages[oy * this.w + ox];
+                }
+            }
+        }
+        this.w = gw;
+        this.h = gh;
+        this.ages = ages;
+    }
+
+    // Record a reveal under a circle; cells already revealed keep their earlier time
+    stamp(cx, cy, radius, now) {
+        const s = this.cellSize;
+        const x0 = Math.max(0, Math.floor((cx - radius) / s)), x1 = Math.min(this.w - 1, Math.floor((cx + radius) / s));
+        const y0 = Math.max(0, Math.floor((cy - radius) / s)), y1 = Math.min(this.h - 1, Math.floor((cy + radius) / s));
+        const r2 = radius * radius;
+        for (let y = y0; y <= y1; y++) {
+            const dy = (y + 0.5) * s - cy;
+            for (let x = x0; x <= x1; x++) {
+                const dx = (x + 0.5) * s - cx;
+                const i = y * this.w + x;
+                if (dx * dx + dy * dy <= r2 && this.ages[i] === 0) this.ages[i] = now;
+            }
+        }
+    }
+
+    clear() { this.ages.fill(0); }
+}
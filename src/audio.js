@@ -0,0 +1,167 @@
+// Procedural sound: a noise scratch that follows the brush, a chime on the reveal and a tone that
+// rises with the orbit. Nothing is created until unlock() runs from a user gesture, so browsers'
+// autoplay rules are met, and nothing at all while muted. The mute setting is kept in storage.
+const MUTED_KEY = 'fngrnctr.muted';
+const CHIME_NOTES = [659.25, 830.61, 987.77]; // E5, G#5, B5
+const ORBIT_BASE_HZ = 110; // Orbit tone at rest; it climbs with the orbit speed
+
+function defaultContext() {
+    const Context = window.AudioContext || window.webkitAudioContext;
+    return Context ? new Context() : null;
+}
+
+export class SoundEffects {
+    // storage is a localStorage-like store for the mute setting. Without a saved setting, sound
+    // starts muted for visitors who prefer reduced motion.
+    constructor({ storage = null, createContext = defaultContext, reducedMotion = false } = {}) {
+        this.storage = storage;
+        this.createContext = createContext;
+        this.ctx = null;
+        this.unlocked = false; // A user gesture has happened
+        this.nodes = null; // { master, scratchGain, scratchFilter } once the context exists
+        this.orbitOsc = null;
+        this.orbitGain = null;
+
+        const saved = this._load();
+        this.muted = saved === null ? reducedMotion : saved;
+    }
+
+    _load() {
+        try {
+            const value = this.storage && this.storage.getItem(MUTED_KEY);
+            return value === null || value === undefined ? null : value === '1';
+        } catch (err) {
+            return null; // Storage disabled - fall back to the default
+        }
+    }
+
+    _save() {
+        try {
+            if (this.storage) this.storage.setItem(MUTED_KEY, this.muted ? '1' : '0');
+        } catch (err) {
+            console.error('[audio] Could not save the mute setting:', err);
+        }
+    }
+
+    // Call from a user gesture (key press, tap); starts the audio context unless muted
+    unlock() {
+        this.unlocked = true;
+        if (!this.muted) this._start();
+    }
+
+    setMuted(muted) {
+        this.muted = muted;
+        this._save();
+        if (muted) {
+            this.stopOrbit();
+            if (this.ctx) this.ctx.suspend();
+        } else if (this.unlocked) {
+            this._start();
+        }
+    }
+
+    toggleMuted() {
+        this.setMuted(!this.muted);
+        return this.muted;
+    }
+
+    _start() {
+        if (this.ctx) {
+            if (this.ctx.state === 'suspended') this.ctx.resume();
+            return;
+        }
+        try {
+            this.ctx = this.createContext();
+        } catch (err) {
+            this.ctx = null;
+        }
+        if (!this.ctx) {
+            console.warn('[audio] Web Audio unavailable; staying silent');
+            return;
+        }
+        const ctx = this.ctx;
+        const master = ctx.createGain();
+        master.gain.value = 0.8;
+        master.connect(ctx.destination);
+
+        // Scratch: looped white noise through a band-pass whose gain and pitch follow the brush
+        const noise = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+        const samples = noise.getChannelData(0);
+        for (let i = 0; i < samples.length; i++) samples[i] = Math.random() * 2 - 1;
+        const source = ctx.createBufferSource();
+        source.buffer = noise;
+        source.loop = true;
+        const scratchFilter = ctx.createBiquadFilter();
+        scratchFilter.type = 'bandpass';
+        scratchFilter.frequency.value = 800;
+        scratchFilter.Q.value = 0.8;
+        const scratchGain = ctx.createGain();
+        scratchGain.gain.value = 0;
+        source.connect(scratchFilter);
+        scratchFilter.connect(scratchGain);
+        scratchGain.connect(master);
+        source.start();
+
+        this.nodes = { master, scratchGain, scratchFilter };
+    }
+
+    // True when sounds would be heard right now
+    get playing() {
+        return !this.muted && this.nodes !== null && this.ctx.state !== 'suspended';
+    }
+
+    // Scratch loudness and brightness for a brush intensity 0..1 (0 silences it)
+    scratch(intensity) {
+        if (!this.nodes) return;
+        const { scratchGain, scratchFilter } = this.nodes;
+        const now = this.ctx.currentTime;
+        scratchGain.gain.setTargetAtTime(intensity * 0.25, now, 0.03);
+        scratchFilter.frequency.setTargetAtTime(800 + intensity * 2400, now, 0.05);
+    }
+
+    // Three bell-like partials, one after another
+    chime() {
+        if (!this.playing) return;
+        const ctx = this.ctx;
+        CHIME_NOTES.forEach((freq, i) => {
+            const start = ctx.currentTime + i * 0.08;
+            const osc = ctx.createOscillator();
+            osc.type = 'sine';
+            osc.frequency.value = freq;
+            const gain = ctx.createGain();
+            gain.gain.setValueAtTime(0.0001, start);
+            gain.gain.exponentialRampToValueAtTime(0.2, start + 0.01);
+            gain.gain.exponentialRampToValueAtTime(0.0001, start + 1.5);
+            osc.connect(gain);
+            gain.connect(this.nodes.master);
+            osc.start(start);
+            osc.stop(start + 1.6);
+        });
+    }
+
+    // Orbit tone pitched by the orbit's speedMultiplier (0.5 to 2.5 over the countdown)
+    orbit(speedMultiplier) {
+        if (!this.playing) return;
+        const ctx = this.ctx;
+        if (!this.orbitOsc) {
+            this.orbitOsc = ctx.createOscillator();
+            this.orbitOsc.type = 'triangle';
+            this.orbitGain = ctx.createGain();
+            this.orbitGain.gain.setValueAtTime(0.0001, ctx.currentTime);
+            this.orbitGain.gain.exponentialRampToValueAtTime(0.06, ctx.currentTime + 0.3);
+            this.orbitOsc.connect(this.orbitGain);
+            this.orbitGain.connect(this.nodes.master);
+            this.orbitOsc.start();
+        }
+        this.orbitOsc.frequency.setTargetAtTime(ORBIT_BASE_HZ * (1 + speedMultiplier), ctx.currentTime, 0.05);
+    }
+
+    stopOrbit() {
+        if (!this.orbitOsc) return;
+        const end = this.ctx.currentTime + 0.2;
+        this.orbitGain.gain.setTargetAtTime(0.0001, this.ctx.currentTime, 0.05);
+        this.orbitOsc.stop(end);
+        this.orbitOsc = null;
+        this.orbitGain = null;
+    }
+}
@@ -0,0 +1,149 @@
+import { FADE_DELAY_MS, FADE_DURATION_MS } from './reink.js';
+
+// Challenge mode: a run through a sequence of levels, each a timed reveal of its own phrase with
+// its own re-ink speed and brush, scored on time and coverage, with the best runs kept in a local
+// leaderboard.
+
+// Levels as data:
+//   phrase       - lines to reveal (a string is split on "|")
+//   fadeDelay    - ms revealed pixels stay clear before the ink creeps back
+//   fadeDuration - ms the ink takes to creep back
+//   brush        - overrides of config.brush for this level (e.g. a smaller baseScale)
+//   timeLimit    - seconds from the first move until the level ends with whatever is uncovered
+export const DEFAULT_LEVELS = [
+    { phrase: ['RUBY'], fadeDelay: 3000, fadeDuration: 4500, brush: {}, timeLimit: 30 },
+    { phrase: ['FILTHY RICH'], fadeDelay: 2000, fadeDuration: 3500, brush: { baseScale: 0.45, maxScale: 0.12 }, timeLimit: 40 },
+    { phrase: ['CURSE OF THE', 'DOOM WIZARD'], fadeDelay: 1500, fadeDuration: 3000, brush: { baseScale: 0.4, maxScale: 0.1 }, timeLimit: 60 }
+];
+
+const LEVEL_DEFAULTS = { fadeDelay: FADE_DELAY_MS, fadeDuration: FADE_DURATION_MS, brush: {}, timeLimit: 60 };
+
+// Fill in and check level data, logging and skipping invalid levels; the default levels stand in
+// when none are left
+export function normalizeLevels(levels) {
+    const fail = (msg) => console.error(`[challenge] ${msg}`);
+    if (!Array.isArray(levels) || levels.length === 0) {
+        fail('Levels must be a non-empty array; using the default levels');
+        return DEFAULT_LEVELS;
+    }
+    const valid = [];
+    levels.forEach((data, i) => {
+        const level = { ...LEVEL_DEFAULTS, ...data };
+        const phrase = typeof level.phrase === 'string' ? level.phrase.split('|') : level.phrase;
+        if (!Array.isArray(phrase) || !phrase.some((line) => typeof line === 'string' && line.trim())) {
+            fail(`Level ${i + 1} needs a phrase; skipped`);
+            return;
+        }
+        const bad = ['fadeDelay', 'fadeDuration', 'timeLimit'].filter((key) => !Number.isFinite(level[key]) || level[key] <= 0);
+        if (bad.length > 0) {
+            fail(`Level ${i + 1} has invalid ${bad.join(', ')}; skipped`);
+            return;
+        }
+        if (!level.brush || typeof level.brush !== 'object') {
+            fail(`Level ${i + 1} brush must be an object; using the configured brush`);
+            level.brush = {};
+        }
+        valid.push({ ...level, phrase: phrase.map((line) => String(line).trim()) });
+    });
+    if (valid.length === 0) {
+        fail('No valid levels; using the default levels');
+        return DEFAULT_LEVELS;
+    }
+    return valid;
+}
+
+// Points for one level: up to 1000 for coverage (0..1), plus up to 1000 for the time left when the
+// phrase was fully revealed. elapsed is seconds from the first move.
+export function levelScore(level, { coverage, elapsed, revealed }) {
+    const speed = revealed ? Math.max(0, 1 - elapsed / level.timeLimit) : 0;
+    return Math.round(1000 * Math.min(1, Math.max(0, coverage)) + 1000 * speed);
+}
+
+// One run through the levels
+export class ChallengeRun {
+    constructor(levels) {
+        this.levels = levels;
+        this.index = 0;
+        this.results = []; // { coverage, elapsed, revealed, score } per finished level
+    }
+
+    get level() {
+        return this.levels[this.index];
+    }
+
+    get isLastLevel() {
+        return this.index === this.levels.length - 1;
+    }
+
+    get finished() {
+        return this.results.length === this.levels.length;
+    }
+
+    get total() {
+        return this.results.reduce((sum, result) => sum + result.score, 0);
+    }
+
+    // Seconds left on the current level after elapsed seconds of play
+    timeLeft(elapsed) {
+        return Math.max(0, this.level.timeLimit - elapsed);
+    }
+
+    // Score the current level; returns its result
+    finishLevel({ coverage, elapsed, revealed }) {
+        const result = { coverage, elapsed, revealed, score: levelScore(this.level, { coverage, elapsed, revealed }) };
+        this.results[this.index] = result;
+        return result;
+    }
+
+    // Move on to the next level; returns it, or null after the last
+    advance() {
+        if (this.isLastLevel) return null;
+        this.index++;
+        return this.level;
+    }
+}
+
+// Best runs kept in storage (a localStorage-like store), highest score first
+export class Leaderboard {
+    constructor({ storage = null, key = 'fngrnctr.leaderboard', size = 10 } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.size = size;
+        this.entries = this._load();
+    }
+
+    _load() {
+        try {
+            const saved = JSON.parse(this.storage && this.storage.getItem(this.key));
+            if (Array.isArray(saved)) return saved.filter((entry) => entry && Number.isFinite(entry.score));
+        } catch (err) {
+            // Storage disabled or corrupt - start an empty board
+        }
+        return [];
+    }
+
+    _save() {
+        try {
+            if (this.storage) this.storage.setItem(this.key, JSON.stringify(this.entries));
+        } catch (err) {
+            console.error('[challenge] Could not save the leaderboard:', err);
+        }
+    }
+
+    // Add a run ({ score, date, levels }); returns its rank from 0, or -1 when it didn't make the board.
+    // Ties rank below earlier runs.
+    add(entry) {
+        let rank = this.entries.findIndex((other) => entry.score > other.score);
+        if (rank === -1) rank = this.entries.length;
+        if (rank >= this.size) return -1;
+        this.entries.splice(rank, 0, entry);
+        this.entries.length = Math.min(this.entries.length, this.size);
+        this._save();
+        return rank;
+    }
+
+    clear() {
+        this.entries = [];
+        this._save();
+    }
+}
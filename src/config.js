@@ -0,0 +1,252 @@
+import { DEFAULT_LEVELS, normalizeLevels } from './challenge.js';
+import { DEFAULT_RELAY_URL } from './coop.js';
+import { THEMES, DEFAULT_THEME, resolveTheme } from './theme.js';
+
+// Runtime configuration: defaults, overridden by window.FNGRNCTR_CONFIG, then by the query string
+
+export const DEFAULT_CONFIG = {
+    afterReveal: {
+        action: 'redirect', // 'redirect' | 'grid' | 'album'
+        url: 'https://www.theknot.com/fngrnctr', // Destination for 'redirect'
+        album: null, // Album slug to open focused for 'album'
+        countdown: 5, // Seconds of orbit before redirecting
+        cancellable: true, // Key press or tap during the orbit stays on the album grid
+        allowedRedirects: [] // Origins besides the page's own that ?redirect may send visitors to
+    },
+    phrase: {
+        lines: ['FNGRNCTR'], // Backdrop text revealed by erasing, one entry per line
+        font: `Impact, Haettenschweiler, 'Arial Black', sans-serif`, // CSS font-family stack
+        fontFace: null, // Custom font loaded via the FontFace API: { family, src, descriptors }
+        weight: 'normal',
+        scale: 0.22, // Font size as a fraction of the shorter screen side
+        lineHeight: 1.1, // Line spacing as a multiple of the font size
+        maxWidth: 0.92 // Lines wider than this fraction of the screen wrap, words too wide shrink the text
+    },
+    brush: {
+        baseScale: 0.55, // Radius at rest as a fraction of the player size
+        minRadius: 18, // Smallest radius in CSS px
+        maxScale: 0.15, // Largest radius as a fraction of the shorter screen side
+        speedEasing: 0.5, // Exponent on normalized speed; below 1 grows quickly at first
+        idleRadius: 22, // Smallest radius of the idle jiggle hint's brush
+        stops: [[0, 1], [0.6, 0.15], [1, 0]], // Gradient [offset, opacity] pairs from the center out
+        pressure: 0.5, // How strongly pen pressure scales the radius (0 ignores it)
+        tilt: 0.5 // How strongly pen tilt widens the brush and softens its edge (0 ignores it)
+    },
+    tracks: {
+        audioBase: null // URL that tracks' relative audio sources resolve against (a mirror); null uses the page
+    },
+    entities: [], // Walls and collectibles around the player, see src/entities.js
+    challenge: {
+        enabled: false, // Play through timed levels for a score instead of the single reveal
+        levels: DEFAULT_LEVELS // See src/challenge.js
+    },
+    coop: {
+        url: null, // Co-op relay (ws:// or wss://, see relay.js) to share the ink with other visitors; null plays alone
+        room: 'lobby', // Visitors in the same room on the same relay erase the same ink
+        allowedRelays: [] // Relay origins besides the localhost one that ?coop may join
+    },
+    theme: DEFAULT_THEME, // Name from themes, or an object of colors and sprite (see src/theme.js)
+    themes: THEMES, // Themes offered by the picker; FNGRNCTR_CONFIG's themes are added to these
+    hud: true // Reveal progress meter (toggle with P)
+};
+export const AFTER_REVEAL_ACTIONS = ['redirect', 'grid', 'album'];
+// Query parameters older links may still carry, now only set in FNGRNCTR_CONFIG: a crafted link
+// could otherwise put any text in any remote font, or anyone's audio, on the band's domain
+const CONFIG_ONLY_PARAMS = { phrase: 'phrase.lines', font: 'phrase.font', fontUrl: 'phrase.fontFace', audioBase: 'tracks.audioBase' };
+const BRUSH_NUMBERS = ['baseScale', 'minRadius', 'maxScale', 'speedEasing', 'idleRadius', 'pressure', 'tilt'];
+
+// A copy of brush with invalid settings logged and replaced from fallback (a valid brush).
+// name says which brush in the messages, e.g. "level 2 brush".
+function checkBrush(brush, fallback, name) {
+    const checked = { ...brush };
+    BRUSH_NUMBERS.forEach((key) => {
+        if (!Number.isFinite(checked[key]) || checked[key] < 0) {
+            console.error(`[config] Invalid ${name} ${key} "${checked[key]}"; using ${fallback[key]}`);
+            checked[key] = fallback[key];
+        }
+    });
+    const validStop = (stop) => Array.isArray(stop) && stop.length === 2 &&
+        stop.every((n) => Number.isFinite(n) && n >= 0 && n <= 1);
+    if (!Array.isArray(checked.stops) || checked.stops.length < 2 || !checked.stops.every(validStop)) {
+        console.error(`[config] Invalid ${name} stops (at least two [offset, opacity] pairs within 0..1); using ${JSON.stringify(fallback.stops)}`);
+        checked.stops = fallback.stops;
+    }
+    return checked;
+}
+
+// The absolute URL for a ?redirect value when it stays on the page's origin or goes to one of
+// allowed (origins), otherwise null. Anyone can craft a link with ?redirect, so only
+// FNGRNCTR_CONFIG may send visitors anywhere else.
+export function allowedRedirect(value, origin, allowed = []) {
+    let url;
+    try {
+        url = new URL(value, origin || undefined);
+    } catch (err) {
+        return null;
+    }
+    if (!/^https?:$/.test(url.protocol)) return null;
+    return url.origin === origin || originsOf(allowed).includes(url.origin) ? url.href : null;
+}
+
+// The relay URL for a ?coop value when it is the localhost relay or on one of allowed (origins),
+// otherwise null. A relay sees its visitors' addresses and cursors, so like ?redirect a crafted
+// link can't pick just any; FNGRNCTR_CONFIG can.
+export function allowedRelay(value, allowed = []) {
+    if (!value) return DEFAULT_RELAY_URL;
+    let url;
+    try {
+        url = new URL(value);
+    } catch (err) {
+        return null;
+    }
+    if (!/^wss?:$/.test(url.protocol)) return null;
+    return url.origin === new URL(DEFAULT_RELAY_URL).origin || originsOf(allowed).includes(url.origin) ? url.href : null;
+}
+
+function originsOf(list) {
+    return list.map((entry) => {
+        try {
+            return new URL(entry).origin;
+        } catch (err) {
+            return null;
+        }
+    });
+}
+
+// Merge overrides (window.FNGRNCTR_CONFIG on the page) and the query string over the defaults,
+// logging and replacing anything invalid. origin is the page's own (window.location.origin).
+export function loadConfig({ search = '', overrides = {}, origin = null } = {}) {
+    overrides = overrides || {};
+    const config = {
+        afterReveal: { ...DEFAULT_CONFIG.afterReveal, ...overrides.afterReveal },
+        phrase: { ...DEFAULT_CONFIG.phrase, ...overrides.phrase },
+        brush: { ...DEFAULT_CONFIG.brush, ...overrides.brush },
+        tracks: { ...DEFAULT_CONFIG.tracks, ...overrides.tracks },
+        challenge: { ...DEFAULT_CONFIG.challenge, ...overrides.challenge },
+        coop: { ...DEFAULT_CONFIG.coop, ...overrides.coop }
+    };
+
+    // Query string: ?after=grid, ?after=album&album=ruby, ?redirect=<url>&countdown=3
+    const params = new URLSearchParams(search);
+    const after = config.afterReveal;
+    if (!Array.isArray(after.allowedRedirects)) {
+        console.error('[config] afterReveal allowedRedirects must be an array of origins; allowing only this site');
+        after.allowedRedirects = [];
+    }
+    if (params.has('redirect')) {
+        const url = allowedRedirect(params.get('redirect'), origin, after.allowedRedirects);
+        if (url) {
+            after.action = 'redirect';
+            after.url = url;
+        } else {
+            console.error(`[config] Redirect URL "${params.get('redirect')}" leaves this site and isn't in allowedRedirects; ignoring it`);
+        }
+    }
+    if (params.has('album')) { after.action = 'album'; after.album = params.get('album'); }
+    if (params.has('after')) after.action = params.get('after');
+    if (params.has('countdown')) after.countdown = Number(params.get('countdown'));
+
+    if (!AFTER_REVEAL_ACTIONS.includes(after.action)) {
+        console.error(`[config] Unknown afterReveal action "${after.action}"; using "redirect"`);
+        after.action = 'redirect';
+    }
+    if (after.action === 'redirect' && !/^https?:\/\//i.test(after.url || '')) {
+        console.error(`[config] Redirect URL "${after.url}" is not http(s); staying on the album grid`);
+        after.action = 'grid';
+    }
+    if (!Number.isFinite(after.countdown) || after.countdown < 0) {
+        console.error(`[config] Invalid countdown "${after.countdown}"; using ${DEFAULT_CONFIG.afterReveal.countdown}s`);
+        after.countdown = DEFAULT_CONFIG.afterReveal.countdown;
+    }
+
+    Object.entries(CONFIG_ONLY_PARAMS).forEach(([param, setting]) => {
+        if (params.has(param)) console.error(`[config] ?${param} is ignored; set ${setting} in FNGRNCTR_CONFIG instead`);
+    });
+
+    const phrase = config.phrase;
+    if (typeof phrase.lines === 'string') phrase.lines = phrase.lines.split('\n');
+    if (!Array.isArray(phrase.lines) || !phrase.lines.some((line) => typeof line === 'string' && line.trim())) {
+        console.error('[config] Reveal phrase needs at least one non-empty line; using the default');
+        phrase.lines = DEFAULT_CONFIG.phrase.lines;
+    }
+    phrase.lines = phrase.lines.map((line) => String(line).trim());
+    if (phrase.fontFace && !(phrase.fontFace.family && phrase.fontFace.src)) {
+        console.error('[config] Reveal fontFace needs both "family" and "src"; ignoring it');
+        phrase.fontFace = null;
+    }
+
+    config.brush = checkBrush(config.brush, DEFAULT_CONFIG.brush, 'brush');
+
+    const tracks = config.tracks;
+    if (tracks.audioBase !== null && (typeof tracks.audioBase !== 'string' || !tracks.audioBase.trim())) {
+        console.error(`[config] Invalid tracks audioBase "${tracks.audioBase}"; using the page URL`);
+        tracks.audioBase = null;
+    }
+    // A base without the trailing slash would drop its last path segment when resolving
+    if (tracks.audioBase && !tracks.audioBase.endsWith('/')) tracks.audioBase += '/';
+
+    // Query string: ?challenge plays the levels. The run ends on the album grid rather than
+    // redirecting, so the leaderboard stays in reach.
+    const challenge = config.challenge;
+    if (params.has('challenge')) challenge.enabled = params.get('challenge') !== '0';
+    challenge.enabled = Boolean(challenge.enabled);
+    if (challenge.enabled) {
+        // Each level's brush is the configured one with the level's overrides, checked the same way
+        challenge.levels = normalizeLevels(challenge.levels).map((level, i) => ({
+            ...level,
+            brush: checkBrush({ ...config.brush, ...level.brush }, config.brush, `level ${i + 1} brush`)
+        }));
+        if (after.action === 'redirect') after.action = 'grid';
+    }
+
+    // Query string: ?coop joins the relay on localhost, ?coop=wss://relay.example&room=band one
+    // in allowedRelays
+    const coop = config.coop;
+    if (!Array.isArray(coop.allowedRelays)) {
+        console.error('[config] Co-op allowedRelays must be an array of origins; allowing only the localhost relay');
+        coop.allowedRelays = [];
+    }
+    if (params.has('coop')) {
+        const url = allowedRelay(params.get('coop'), coop.allowedRelays);
+        if (url) coop.url = url;
+        else console.error(`[config] Co-op relay "${params.get('coop')}" isn't the localhost one or in allowedRelays; ignoring it`);
+    }
+    if (params.has('room')) coop.room = params.get('room');
+    if (coop.url !== null && !/^wss?:\/\/[^/]/i.test(coop.url || '')) {
+        console.error(`[config] Co-op relay "${coop.url}" is not a ws(s) URL; playing alone`);
+        coop.url = null;
+    }
+    if (typeof coop.room !== 'string' || !coop.room.trim()) {
+        console.error(`[config] Invalid co-op room "${coop.room}"; using "${DEFAULT_CONFIG.coop.room}"`);
+        coop.room = DEFAULT_CONFIG.coop.room;
+    }
+    coop.room = coop.room.trim();
+
+    // Query string: ?theme=light. An object theme is offered by the picker as "custom".
+    config.themes = { ...DEFAULT_CONFIG.themes };
+    if (overrides.themes !== undefined && (!overrides.themes || typeof overrides.themes !== 'object')) {
+        console.error('[config] Themes must be an object of named themes; ignoring them');
+    } else if (overrides.themes) {
+        Object.entries(overrides.themes).forEach(([name, spec]) => {
+            config.themes[name] = resolveTheme(spec, THEMES[DEFAULT_THEME], config.themes);
+        });
+    }
+    let theme = overrides.theme !== undefined ? overrides.theme : DEFAULT_CONFIG.theme;
+    if (params.has('theme')) theme = params.get('theme');
+    if (theme && typeof theme === 'object') {
+        config.themes.custom = resolveTheme(theme, THEMES[DEFAULT_THEME], config.themes);
+        theme = 'custom';
+    }
+    if (!Object.prototype.hasOwnProperty.call(config.themes, theme)) {
+        console.error(`[config] Unknown theme "${theme}"; using "${DEFAULT_THEME}"`);
+        theme = DEFAULT_THEME;
+    }
+    config.theme = theme;
+
+    // Entities are validated as they are built (createEntities in src/entities.js)
+    config.entities = overrides.entities !== undefined ? overrides.entities : DEFAULT_CONFIG.entities;
+
+    // Query string: ?hud=0 hides the reveal progress meter
+    config.hud = params.has('hud') ? params.get('hud') !== '0' : overrides.hud !== false;
+    return config;
+}
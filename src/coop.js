@@ -0,0 +1,195 @@
+// Co-op: visitors in the same room on a relay (see relay.js) each steer their own icon and erase
+// one shared ink layer. Positions and stamps travel relative to the phrase (offsets from its center
+// in units of its font size), as each screen sizes and centers the phrase its own way; each browser
+// still measures and re-inks its own copy of the layer.
+export const DEFAULT_RELAY_URL = 'ws://localhost:8787';
+export const PEER_TINTS = ['#ff5a5a', '#4fc3ff', '#7dff6a', '#ffd24a', '#d27dff', '#ff9a3c', '#3cffd0', '#ff6ad5'];
+const SEND_INTERVAL = 0.05; // Seconds between position updates and stamp batches
+const RECONNECT_DELAY = 3000; // ms before trying the relay again after losing it
+const PEER_FOLLOW = 15; // How quickly peers' icons ease toward their latest reported position (1/s)
+const OPEN = 1; // WebSocket.OPEN
+
+const round = (n) => Math.round(n * 10000) / 10000;
+
+export class CoopSession {
+    // url and room pick the relay and room. frame returns where the phrase is laid out on this
+    // screen: { x, y } of its center in px and unit, its font size. onStamp is called with
+    // (x, y, radius, softness) in px for each stamp a peer makes; onChange with a message
+    // ('joined', 'left', 'connected' or 'disconnected') whenever the room changes.
+    constructor({ url, room, frame, WebSocketImpl = globalThis.WebSocket, onStamp = () => {}, onChange = () => {} }) {
+        this.url = new URL(url);
+        this.url.searchParams.set('room', room);
+        this.room = room;
+        this.frame = frame;
+        this.WebSocketImpl = WebSocketImpl;
+        this.onStamp = onStamp;
+        this.onChange = onChange;
+        this.socket = null;
+        this.id = null;
+        this.tint = PEER_TINTS[0];
+        this.peers = new Map(); // id -> { id, tint, pos: { x, y }, target: { x, y } } in px
+        this.pendingStamps = [];
+        this.sendTimer = 0;
+        this.lastSent = null;
+        this.reconnectTimer = null;
+        this.closed = false;
+        this.warned = false;
+    }
+
+    connect() {
+        if (!this.WebSocketImpl) {
+            console.error('[coop] WebSockets are unavailable; playing alone');
+            return;
+        }
+        let socket;
+        try {
+            socket = new this.WebSocketImpl(this.url.href);
+        } catch (err) {
+            console.error('[coop] Could not reach the relay:', err);
+            return;
+        }
+        this.socket = socket;
+        socket.onmessage = (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return; // Not ours
+            }
+            this.receive(message);
+        };
+        socket.onclose = () => {
+            const wasConnected = this.id !== null;
+            this.socket = null;
+            this.id = null;
+            this.peers.clear();
+            this.pendingStamps = [];
+            if (wasConnected) this.onChange('disconnected');
+            if (!this.closed) this.reconnectTimer = setTimeout(() => this.connect(), RECONNECT_DELAY);
+        };
+        socket.onerror = () => {
+            // Once per outage, not on every retry
+            if (this.warned) return;
+            this.warned = true;
+            console.error(`[coop] Can't reach the relay at ${this.url.origin}; retrying every ${RECONNECT_DELAY / 1000}s`);
+        };
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimer);
+        if (this.socket) this.socket.close();
+    }
+
+    get connected() {
+        return this.id !== null;
+    }
+
+    // Everyone in the room, this visitor included
+    get playerCount() {
+        return this.connected ? this.peers.size + 1 : 0;
+    }
+
+    receive(message) {
+        const frame = this.frame();
+        const toPx = ({ x, y }) => ({ x: frame.x + x * frame.unit, y: frame.y + y * frame.unit });
+        const tintOf = (index) => PEER_TINTS[index % PEER_TINTS.length];
+        if (message.type === 'welcome') {
+            this.id = message.id;
+            this.warned = false;
+            this.tint = tintOf(message.tint);
+            this.lastSent = null; // Tell the room where we are straight away
+            message.peers.forEach((peer) => this._addPeer(peer.id, tintOf(peer.tint)));
+            this.onChange('connected');
+        } else if (message.type === 'join') {
+            this._addPeer(message.id, tintOf(message.tint));
+            this.onChange('joined');
+        } else if (message.type === 'leave') {
+            if (this.peers.delete(message.id)) this.onChange('left');
+        } else if (message.type === 'full') {
+            this.closed = true; // Don't keep knocking
+            console.error(`[coop] Room "${this.room}" is full; playing alone`);
+        } else if (message.type === 'move') {
+            const peer = this.peers.get(message.id);
+            if (!peer || !Number.isFinite(message.x) || !Number.isFinite(message.y)) return;
+            peer.target = toPx(message);
+            if (!peer.seen) {
+                // First sighting: appear there rather than sliding in from the corner
+                peer.pos = { ...peer.target };
+                peer.seen = true;
+            }
+        } else if (message.type === 'stamps') {
+            if (!this.peers.has(message.id) || !Array.isArray(message.stamps)) return;
+            message.stamps.forEach((stamp) => {
+                if (!Array.isArray(stamp) || stamp.length !== 4 || !stamp.every(Number.isFinite)) return;
+                const [x, y, radius, softness] = stamp;
+                const at = toPx({ x, y });
+                this.onStamp(at.x, at.y, radius * frame.unit, softness);
+            });
+        }
+    }
+
+    _addPeer(id, tint) {
+        this.peers.set(id, { id, tint, pos: { x: 0, y: 0 }, target: { x: 0, y: 0 }, seen: false });
+    }
+
+    // A point in px as sent to the room
+    _fromPx(x, y) {
+        const frame = this.frame();
+        return { x: round((x - frame.x) / frame.unit), y: round((y - frame.y) / frame.unit) };
+    }
+
+    // Queue one of this visitor's brush stamps (px) for the next batch
+    stamp(x, y, radius, softness = 0) {
+        if (!this.connected) return;
+        const at = this._fromPx(x, y);
+        this.pendingStamps.push([at.x, at.y, round(radius / this.frame().unit), round(softness)]);
+    }
+
+    // Once a frame: ease the peers' icons and, every SEND_INTERVAL, send this visitor's position
+    // (when it moved) and the stamps made since the last batch
+    update(dt, pos) {
+        const follow = 1 - Math.exp(-PEER_FOLLOW * dt);
+        this.peers.forEach((peer) => {
+            peer.pos.x += (peer.target.x - peer.pos.x) * follow;
+            peer.pos.y += (peer.target.y - peer.pos.y) * follow;
+        });
+        this.sendTimer += dt;
+        if (this.sendTimer < SEND_INTERVAL || !this.connected || this.socket.readyState !== OPEN) return;
+        this.sendTimer = 0;
+        const at = this._fromPx(pos.x, pos.y);
+        if (!this.lastSent || at.x !== this.lastSent.x || at.y !== this.lastSent.y) {
+            this.socket.send(JSON.stringify({ type: 'move', ...at }));
+            this.lastSent = at;
+        }
+        if (this.pendingStamps.length > 0) {
+            this.socket.send(JSON.stringify({ type: 'stamps', stamps: this.pendingStamps }));
+            this.pendingStamps = [];
+        }
+    }
+
+    // Peers' icons with their tints, and this visitor's tint ring around the player
+    draw(ctx, player, opacity = 1) {
+        if (!this.connected) return;
+        const ring = (pos, tint) => {
+            ctx.globalAlpha = opacity;
+            ctx.strokeStyle = tint;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, player.size * 0.62, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.globalAlpha = 1;
+        };
+        const half = player.size / 2;
+        this.peers.forEach((peer) => {
+            if (!peer.seen) return;
+            if (player.icon && player.icon.complete) {
+                ctx.globalAlpha = opacity * 0.85;
+                ctx.drawImage(player.icon, Math.round(peer.pos.x - half), Math.round(peer.pos.y - half), player.size, player.size);
+                ctx.globalAlpha = 1;
+            }
+            ring(peer.pos, peer.tint);
+        });
+        ring(player.pos, this.tint);
+    }
+}
@@ -0,0 +1,99 @@
+import { THEMES } from './theme.js';
+
+// The album catalog manifest (discography.json), versioned so the page can refuse formats it
+// doesn't know
+export const DISCOGRAPHY_VERSION = 1;
+
+// Validate a discography manifest, logging every problem found, and return its albums.
+// Malformed albums and tracks are dropped; a missing Bandcamp ID only disables the embed. The
+// release date is optional.
+// themes are the named themes an album's theme may refer to (config.themes).
+export function validateDiscography(manifest, themes = THEMES) {
+    const fail = (msg, ...details) => console.error(`[discography] ${msg}`, ...details);
+    if (!manifest || typeof manifest !== 'object') {
+        fail('Manifest is not an object');
+        return [];
+    }
+    if (manifest.version !== DISCOGRAPHY_VERSION) {
+        fail(`Unsupported manifest version ${manifest.version} (expected ${DISCOGRAPHY_VERSION})`);
+        return [];
+    }
+    if (!Array.isArray(manifest.albums)) {
+        fail('Manifest is missing an "albums" array');
+        return [];
+    }
+
+    const isText = (v) => typeof v === 'string' && v.trim().length > 0;
+    const slugs = new Set();
+    const valid = [];
+
+    manifest.albums.forEach((album, i) => {
+        const label = album && isText(album.title) ? `"${album.title}"` : `#${i}`;
+        if (!album || typeof album !== 'object') {
+            fail(`Album ${label} is not an object`);
+            return;
+        }
+        const missing = ['slug', 'title', 'url', 'artUrl'].filter((key) => !isText(album[key]));
+        if (missing.length > 0) {
+            fail(`Album ${label} is missing ${missing.join(', ')}; skipped`);
+            return;
+        }
+        if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(album.slug)) {
+            fail(`Album ${label} has malformed slug "${album.slug}"; skipped`);
+            return;
+        }
+        if (slugs.has(album.slug)) {
+            fail(`Album ${label} reuses slug "${album.slug}"; skipped`);
+            return;
+        }
+        if (!isText(album.bandcampId) || !/^\d+$/.test(album.bandcampId)) {
+            fail(`Album ${label} is missing a Bandcamp ID; its player embed is disabled`);
+        }
+        if (album.releaseDate != null && !/^\d{4}-\d{2}-\d{2}$/.test(album.releaseDate)) {
+            fail(`Album ${label} has malformed releaseDate "${album.releaseDate}" (expected YYYY-MM-DD)`);
+        }
+
+        // A theme name or an object of overrides (src/theme.js), worn while the album is focused
+        let theme = album.theme == null ? null : album.theme;
+        if (theme !== null && !(typeof theme === 'object' || (typeof theme === 'string' && themes[theme]))) {
+            fail(`Album ${label} has unknown theme ${JSON.stringify(theme)}; it keeps the page theme`);
+            theme = null;
+        }
+
+        const tracks = Array.isArray(album.tracks) ? album.tracks : [];
+        if (!Array.isArray(album.tracks)) fail(`Album ${label} is missing a "tracks" array`);
+        const validTracks = tracks.filter((track, t) => {
+            if (!track || !isText(track.name) || !isText(track.url)) {
+                fail(`Album ${label} track ${t + 1} is missing name or url; skipped`);
+                return false;
+            }
+            if (!/^\d{1,2}:\d{2}$/.test(track.duration || '')) {
+                fail(`Album ${label} track "${track.name}" has malformed duration "${track.duration}" (expected mm:ss); skipped`);
+                return false;
+            }
+            if (track.audio != null && !isText(track.audio)) {
+                fail(`Album ${label} track "${track.name}" has a malformed audio source; it can't be played in the page`);
+            }
+            return true;
+        });
+
+        slugs.add(album.slug);
+        valid.push({
+            slug: album.slug,
+            title: album.title,
+            bandcampId: /^\d+$/.test(album.bandcampId || '') ? album.bandcampId : null,
+            releaseDate: album.releaseDate || null,
+            url: album.url,
+            artUrl: album.artUrl,
+            tracks: validTracks.map((track) => ({
+                name: track.name,
+                url: track.url,
+                duration: track.duration,
+                audio: isText(track.audio) ? track.audio : null
+            })),
+            theme
+        });
+    });
+
+    return valid;
+}
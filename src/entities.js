@@ -0,0 +1,175 @@
+import { clamp } from './vec2.js';
+
+// Obstacles and pickups sharing the play area with the Player. Entities are defined as data (see
+// createEntities) with positions as fractions of the play area, so they follow resizes; sizes are
+// in CSS px. The player collides as a circle of radius size / 2.
+
+// Colors entities draw in unless the World is given a theme (see src/theme.js)
+const DRAW_THEME = { ink: '#111111', accent: '#ffffff' };
+
+// Push that moves a circle (center c, radius r) out of an axis-aligned rect { x, y, w, h }, or null
+// when they don't overlap
+export function circleRectPush(c, r, rect) {
+    const qx = clamp(c.x, rect.x, rect.x + rect.w);
+    const qy = clamp(c.y, rect.y, rect.y + rect.h);
+    const dx = c.x - qx, dy = c.y - qy;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= r) return null;
+    if (dist > 0) return { x: dx / dist * (r - dist), y: dy / dist * (r - dist) };
+    // Center inside the rect: leave through the nearest side
+    const exits = [
+        { x: rect.x - c.x - r, y: 0 },
+        { x: rect.x + rect.w - c.x + r, y: 0 },
+        { x: 0, y: rect.y - c.y - r },
+        { x: 0, y: rect.y + rect.h - c.y + r }
+    ];
+    return exits.reduce((best, exit) => (Math.abs(exit.x + exit.y) < Math.abs(best.x + best.y) ? exit : best));
+}
+
+export function circlesOverlap(a, ra, b, rb) {
+    return Math.hypot(a.x - b.x, a.y - b.y) < ra + rb;
+}
+
+// A block the player can't pass: { type: 'wall', x, y, w, h }, all fractions of the play area
+export class Wall {
+    constructor({ x, y, w, h }) {
+        if (![x, y, w, h].every((n) => Number.isFinite(n) && n >= 0 && n <= 1)) {
+            throw new Error('wall needs x, y, w and h as fractions within 0..1');
+        }
+        Object.assign(this, { x, y, w, h });
+    }
+
+    rect(bounds) {
+        return { x: this.x * bounds.w, y: this.y * bounds.h, w: this.w * bounds.w, h: this.h * bounds.h };
+    }
+
+    // Walls push the player back out and stop its motion into them, so it slides along
+    collide(player, bounds) {
+        const push = circleRectPush(player.pos, player.size / 2, this.rect(bounds));
+        if (!push) return;
+        player.pos.x += push.x;
+        player.pos.y += push.y;
+        const len = Math.hypot(push.x, push.y);
+        const nx = push.x / len, ny = push.y / len;
+        const into = player.vel.x * nx + player.vel.y * ny;
+        if (into < 0) {
+            player.vel.x -= nx * into;
+            player.vel.y -= ny * into;
+        }
+    }
+
+    update() {}
+
+    draw(ctx, bounds, opacity = 1, theme = DRAW_THEME) {
+        const r = this.rect(bounds);
+        ctx.globalAlpha = opacity;
+        ctx.fillStyle = theme.ink;
+        ctx.fillRect(r.x, r.y, r.w, r.h);
+        ctx.strokeStyle = theme.accent;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(r.x + 1, r.y + 1, r.w - 2, r.h - 2);
+        ctx.globalAlpha = 1;
+    }
+}
+
+// A pickup that unlocks an album's cover: { type: 'collectible', x, y, album, radius }, x and y
+// fractions of the play area, album a slug and radius in px (default 14)
+export class Collectible {
+    constructor({ x, y, album, radius = 14 }) {
+        if (![x, y].every((n) => Number.isFinite(n) && n >= 0 && n <= 1)) {
+            throw new Error('collectible needs x and y as fractions within 0..1');
+        }
+        if (typeof album !== 'string' || !album) throw new Error('collectible needs an album slug');
+        if (!Number.isFinite(radius) || radius <= 0) throw new Error(`collectible radius "${radius}" must be positive`);
+        Object.assign(this, { x, y, album, radius });
+        this.collected = false;
+    }
+
+    center(bounds) {
+        return { x: this.x * bounds.w, y: this.y * bounds.h };
+    }
+
+    // Returns true the step the player picks it up
+    collide(player, bounds) {
+        if (this.collected || !circlesOverlap(player.pos, player.size / 2, this.center(bounds), this.radius)) return false;
+        this.collected = true;
+        return true;
+    }
+
+    update() {}
+
+    draw(ctx, bounds, opacity = 1, theme = DRAW_THEME) {
+        if (this.collected) return;
+        const c = this.center(bounds);
+        ctx.globalAlpha = opacity;
+        ctx.strokeStyle = theme.accent;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, this.radius - 1, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.fillStyle = theme.accent;
+        ctx.beginPath();
+        ctx.arc(c.x, c.y, this.radius * 0.35, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+}
+
+// Entity classes by their data type; add a class here to make a new type definable from data.
+// A class takes its data object, throws on bad data, and has update(dt), collide(player, bounds)
+// (true when the player picks it up) and draw(ctx, bounds, opacity, theme).
+export const ENTITY_TYPES = { wall: Wall, collectible: Collectible };
+
+// Build entities from data (config.entities), logging and skipping anything invalid
+export function createEntities(list) {
+    if (!Array.isArray(list)) {
+        console.error('[entities] Entities must be an array; ignoring them');
+        return [];
+    }
+    const entities = [];
+    list.forEach((data, i) => {
+        const Type = data && ENTITY_TYPES[data.type];
+        if (!Type) {
+            console.error(`[entities] Entity #${i} has unknown type "${data && data.type}"; skipped`);
+            return;
+        }
+        try {
+            entities.push(new Type(data));
+        } catch (err) {
+            console.error(`[entities] Entity #${i}: ${err.message}; skipped`);
+        }
+    });
+    return entities;
+}
+
+// The entities around the player, updated and drawn as one list. bounds is the live { w, h } of the
+// play area; onCollect is called with each entity the player picks up. theme is the current theme,
+// whose ink and accent colors the entities are drawn in.
+export class World {
+    constructor(player, bounds, { onCollect = () => {} } = {}) {
+        this.player = player;
+        this.bounds = bounds;
+        this.onCollect = onCollect;
+        this.theme = DRAW_THEME;
+        this.entities = [];
+    }
+
+    add(entity) {
+        this.entities.push(entity);
+    }
+
+    // After the player has moved: update every entity, then let each act on the player
+    update(dt) {
+        this.entities.forEach((entity) => entity.update(dt));
+        this.entities.forEach((entity) => {
+            if (entity.collide(this.player, this.bounds)) this.onCollect(entity);
+        });
+        this.entities = this.entities.filter((entity) => !entity.collected);
+    }
+
+    // Entities first, the player on top
+    draw(ctx, opacity = 1) {
+        this.entities.forEach((entity) => entity.draw(ctx, this.bounds, opacity, this.theme));
+        this.player.draw(ctx, opacity);
+    }
+}
@@ -0,0 +1,163 @@
+import { AgeGrid } from './age-grid.js';
+import { fadePass, applyInkOp, FADE_DELAY_MS, FADE_DURATION_MS } from './reink.js';
+import { parseHexColor } from './theme.js';
+
+// The ink layer erased to reveal the phrase, with the reveal-age grid the re-ink fade reads.
+// size is the live { w, h, dpr } of the screen. The fade runs in the worker from createWorker
+// when one can be started, otherwise the same kernel from reink.js runs here on the main thread.
+//
+// The worker keeps its own copy of the ink and ages on an OffscreenCanvas: every change made here
+// is sent along (see applyInkOp), it fades its copy and hands back an ImageBitmap, so no pass reads
+// or writes pixels on the main thread. Changes made directly on ctx (like carrying the reveal over
+// a resize) are followed by resync().
+export class InkLayer {
+    constructor(canvas, size, createWorker = null) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d', { alpha: true, willReadFrequently: true });
+        this.size = size;
+        this.ages = new AgeGrid();
+        this.worker = null;
+        this.job = null; // { id, dt, synced } of the pass in flight
+        this.jobId = 0;
+        this.owedDt = 0; // Seconds of fade time owed to the next pass
+        this.synced = 0; // Bumped whenever the worker's copy has to be replaced wholesale
+        this.workerSynced = -1; // Value of synced the worker's copy matches
+        this.sentSince = []; // Changes sent after the pass in flight, redrawn over its result
+        this.fadeDelay = FADE_DELAY_MS; // Re-ink speed (ms), see fadePass
+        this.fadeDuration = FADE_DURATION_MS;
+        this.color = '#000000'; // Hex ink color (the theme's); see recolor
+        this.rgb = [0, 0, 0];
+        if (createWorker && typeof OffscreenCanvas !== 'undefined') this._startWorker(createWorker);
+    }
+
+    _startWorker(createWorker) {
+        try {
+            this.worker = createWorker();
+        } catch (err) {
+            this.worker = null; // e.g. pages opened from file://
+            return;
+        }
+        this.worker.onmessage = (e) => {
+            const { id, bitmap } = e.data;
+            const job = this.job;
+            if (!job || job.id !== id) {
+                if (bitmap) bitmap.close();
+                return;
+            }
+            this.job = null;
+            const redraw = this.sentSince;
+            this.sentSince = [];
+            if (job.synced !== this.synced) {
+                // The ink was replaced meanwhile (e.g. a resize): this pass faded the old one, so its
+                // time is still owed
+                this.owedDt += job.dt;
+                if (bitmap) bitmap.close();
+                return;
+            }
+            if (!bitmap) return; // Nothing was fading
+            const ctx = this.ctx;
+            ctx.save();
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.globalCompositeOperation = 'copy';
+            ctx.drawImage(bitmap, 0, 0);
+            ctx.restore();
+            bitmap.close();
+            // The worker had not seen the changes made since the pass was posted when it drew the result
+            redraw.forEach((op) => applyInkOp(ctx, this.ages, op, this.size.w, this.size.h));
+        };
+        this.worker.onerror = (e) => {
+            console.warn('[reink] Worker unavailable, fading on the main thread:', e.message || 'failed to load');
+            this.dropWorker();
+        };
+    }
+
+    // Fade on the main thread from now on (recorded and replayed runs need the ink to match step for step)
+    dropWorker() {
+        if (!this.worker) return;
+        this.worker.terminate();
+        this.worker = null;
+        if (this.job) this.owedDt += this.job.dt;
+        this.job = null;
+        this.sentSince = [];
+    }
+
+    // The ink or ages were changed other than through this layer's methods: send the worker a fresh copy
+    // before its next pass
+    resync() { this.synced++; }
+
+    // Apply a change here and on the worker's copy
+    _apply(op) {
+        applyInkOp(this.ctx, this.ages, op, this.size.w, this.size.h);
+        if (!this.worker || this.workerSynced !== this.synced) return; // The next resync carries it
+        this.worker.postMessage({ type: 'op', op });
+        if (this.job) this.sentSince.push(op);
+    }
+
+    // Match the canvas to the screen size and cover it in fresh ink. The ages are left to the caller,
+    // which knows how the old layout maps onto the new one.
+    resize() {
+        const { w, h, dpr } = this.size;
+        this.canvas.width = Math.floor(w * dpr);
+        this.canvas.height = Math.floor(h * dpr);
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.ctx.clearRect(0, 0, w, h);
+        this.ctx.fillStyle = this.color;
+        this.ctx.fillRect(0, 0, w, h);
+        this.resync();
+    }
+
+    // Erase a soft-edged circle of ink with brush stops ([offset, opacity] pairs) and record
+    // it as revealed at now (ms)
+    erase(x, y, radius, stops, softness = 0, now = 0) {
+        this._apply({ type: 'erase', x, y, radius, stops, softness, now });
+    }
+
+    // Ink everything back over and forget every reveal
+    refill() {
+        this._apply({ type: 'fill', color: this.color });
+    }
+
+    // Switch to another ink color, repainting the ink that is left and keeping what is scratched off
+    recolor(color) {
+        this.color = color;
+        this.rgb = parseHexColor(color);
+        this._apply({ type: 'recolor', color });
+    }
+
+    // Erase alpha of the remaining ink everywhere (1 clears it)
+    thin(alpha) {
+        this._apply({ type: 'thin', alpha });
+    }
+
+    // One re-ink fade step at fade-clock time now (ms). With a worker at most one pass is in flight;
+    // steps that pass meanwhile accumulate into owedDt so the fade rate stays the same.
+    fade(dt, now) {
+        this.owedDt += dt;
+        if (this.job) return;
+        const w = this.canvas.width, h = this.canvas.height;
+        const cellScale = 1 / (this.size.dpr * this.ages.cellSize);
+        // At most a quarter second a pass, so a long stall doesn't jump the fade; the rest waits
+        const step = Math.min(this.owedDt, 0.25);
+        this.owedDt -= step;
+        if (this.worker) {
+            if (this.workerSynced !== this.synced) {
+                // A full copy, only after a resize or a change made outside this layer
+                const ink = this.ctx.getImageData(0, 0, w, h).data.buffer, ages = this.ages.ages.slice().buffer;
+                this.worker.postMessage({
+                    type: 'sync', width: w, height: h, dpr: this.size.dpr, ink, ages, gridW: this.ages.w, gridH: this.ages.h,
+                }, [ink, ages]);
+                this.workerSynced = this.synced;
+            }
+            this.job = { id: ++this.jobId, dt: step, synced: this.synced };
+            this.worker.postMessage({
+                type: 'fade', id: this.job.id, cellScale, now, dt: step,
+                fadeDelay: this.fadeDelay, fadeDuration: this.fadeDuration, inkColor: this.rgb,
+            });
+            return;
+        }
+        const inkData = this.ctx.getImageData(0, 0, w, h);
+        if (fadePass(inkData.data, w, this.ages.ages, this.ages.w, cellScale, now, step, this.fadeDelay, this.fadeDuration, this.rgb)) {
+            this.ctx.putImageData(inkData, 0, 0);
+        }
+    }
+}
@@ -0,0 +1,227 @@
+import { Vec2 } from './vec2.js';
+
+// One-shot keyboard actions, dispatched to handlers registered with Input.onAction
+const ACTION_KEYS = {
+    KeyH: 'help',
+    KeyP: 'hud',
+    Escape: 'back',
+    Enter: 'select',
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    KeyR: 'save',
+    KeyM: 'mute',
+    KeyL: 'leaderboard',
+    KeyT: 'theme'
+};
+
+// Standard-mapping gamepad buttons that trigger actions
+const GAMEPAD_BUTTONS = {
+    0: 'select', // A
+    1: 'back',   // B
+    9: 'help',   // Start
+    12: 'up',    // D-pad
+    13: 'down',
+    14: 'left',
+    15: 'right'
+};
+const STICK_DEAD_ZONE = 0.2;
+
+const STEER_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'KeyW', 'KeyA', 'KeyS', 'KeyD', 'Space'];
+// Focused elements whose own keys come first: Space presses a button or link and the arrows scroll,
+// so neither steers there; text fields keep every key
+const PRESSABLE_TAGS = ['A', 'BUTTON'];
+const FIELD_TAGS = ['INPUT', 'SELECT', 'TEXTAREA'];
+
+// Keyboard, pointer and gamepad input. Pointer events come from surface (the game canvas),
+// keys from keyTarget; getGamepads stands in for navigator.getGamepads.
+export class Input {
+    constructor(surface, {
+        keyTarget = window,
+        getGamepads = () => (navigator.getGamepads ? Array.from(navigator.getGamepads()) : [])
+    } = {}) {
+        this.surface = surface;
+        this.keyTarget = keyTarget;
+        this.getGamepads = getGamepads;
+        this.keys = new Set();
+        this.pointerActive = false; // The primary pointer is down and steers the player
+        this.pointerPos = new Vec2();
+        this.pointers = new Map(); // Every pointer that is down, by pointerId (see _trackPointer)
+        this.primaryId = null;
+        this.padAxis = new Vec2(); // Left stick / d-pad of the first connected gamepad
+        this.padHeld = new Set(); // Gamepad actions held last poll, for edge detection
+        this.actionHandlers = new Map();
+        this._bind();
+    }
+    // Handlers may return false to leave the key's default behaviour alone
+    onAction(name, handler) {
+        this.actionHandlers.set(name, handler);
+    }
+    _emit(name) {
+        const handler = this.actionHandlers.get(name);
+        return handler ? handler() !== false : false;
+    }
+    _bind() {
+        this.keyTarget.addEventListener('keydown', (e) => {
+            // Leave shortcuts like Ctrl+P (print) and Cmd+L to the browser
+            if (e.ctrlKey || e.metaKey || e.altKey) return;
+            const tag = e.target && e.target.tagName;
+            if (FIELD_TAGS.includes(tag)) return;
+            const k = e.code;
+            const ownKey = PRESSABLE_TAGS.includes(tag) && (k === 'Space' || k.startsWith('Arrow'));
+            if (STEER_KEYS.includes(k) && !ownKey) {
+                this.keys.add(k);
+                e.preventDefault();
+            }
+            if (ACTION_KEYS[k] && !e.repeat && this._emit(ACTION_KEYS[k])) {
+                e.preventDefault();
+            }
+        });
+        this.keyTarget.addEventListener('keyup', (e) => this.keys.delete(e.code));
+
+        // The first pointer down steers the player; any further touches erase on their own
+        const start = (e) => {
+            this._trackPointer(e);
+            if (this.primaryId === null) this.primaryId = e.pointerId;
+            if (e.pointerId === this.primaryId) { this.pointerActive = true; this.pointerPos.set(e.clientX, e.clientY); }
+            this._dropPrimaryTrail();
+        };
+        const move = (e) => {
+            if (!this.pointers.has(e.pointerId)) return;
+            this._trackPointer(e);
+            if (e.pointerId === this.primaryId) this.pointerPos.set(e.clientX, e.clientY);
+            this._dropPrimaryTrail();
+        };
+        const end = (e) => {
+            this.pointers.delete(e.pointerId);
+            if (e.pointerId === this.primaryId) { this.primaryId = null; this.pointerActive = false; }
+        };
+
+        const surface = this.surface;
+        surface.addEventListener('pointerdown', (e) => {
+            surface.setPointerCapture(e.pointerId);
+            start(e);
+            e.preventDefault();
+        }, { passive: false });
+        surface.addEventListener('pointermove', (e) => { move(e); e.preventDefault(); }, { passive: false });
+        surface.addEventListener('pointerup', (e) => { end(e); e.preventDefault(); }, { passive: false });
+        surface.addEventListener('pointercancel', end);
+    }
+    // Latest position and pen state of a pointer; pressure and tilt only mean something for pens.
+    // trail collects every position since the last frame, including coalesced ones, for stroke interpolation.
+    _trackPointer(e) {
+        const pen = e.pointerType === 'pen';
+        const pointer = this.pointers.get(e.pointerId) || { id: e.pointerId, pos: new Vec2(), trail: [] };
+        const coalesced = e.getCoalescedEvents ? e.getCoalescedEvents() : [];
+        (coalesced.length ? coalesced : [e]).forEach((ev) => pointer.trail.push(new Vec2(ev.clientX, ev.clientY)));
+        pointer.pos.set(e.clientX, e.clientY);
+        pointer.pressure = pen ? e.pressure : null;
+        pointer.tilt = pen ? Math.min(1, Math.hypot(e.tiltX || 0, e.tiltY || 0) / 90) : 0;
+        this.pointers.set(e.pointerId, pointer);
+    }
+    // The steering pointer's brush follows the player, not its own trail
+    _dropPrimaryTrail() {
+        const primary = this.primaryPointer();
+        if (primary) primary.trail = [];
+    }
+    // Pointers other than the one steering the player; each drives its own brush
+    extraPointers() {
+        return [...this.pointers].filter(([id]) => id !== this.primaryId).map(([, pointer]) => pointer);
+    }
+    primaryPointer() {
+        return this.pointers.get(this.primaryId) || null;
+    }
+    // Read the first connected gamepad; call once per frame
+    pollGamepad() {
+        const pads = this.getGamepads();
+        const pad = pads.find((p) => p && p.connected);
+        this.padAxis.set(0, 0);
+        if (!pad) {
+            this.padHeld.clear();
+            return;
+        }
+
+        const pressed = (i) => Boolean(pad.buttons[i] && pad.buttons[i].pressed);
+        let x = pad.axes[0] || 0;
+        let y = pad.axes[1] || 0;
+        if (Math.hypot(x, y) < STICK_DEAD_ZONE) { x = 0; y = 0; }
+        if (pressed(14)) x = -1;
+        if (pressed(15)) x = 1;
+        if (pressed(12)) y = -1;
+        if (pressed(13)) y = 1;
+        this.padAxis.set(x, y);
+        if (this.padAxis.len() > 1) this.padAxis.normalize();
+
+        // Buttons and a pushed stick fire their action once per press
+        const held = new Set();
+        Object.entries(GAMEPAD_BUTTONS).forEach(([button, action]) => {
+            if (pressed(Number(button))) held.add(action);
+        });
+        if (x < -0.5) held.add('left');
+        if (x > 0.5) held.add('right');
+        if (y < -0.5) held.add('up');
+        if (y > 0.5) held.add('down');
+        held.forEach((action) => {
+            if (!this.padHeld.has(action)) this._emit(action);
+        });
+        this.padHeld = held;
+    }
+    getAxis() {
+        let x = 0, y = 0;
+        if (this.keys.has('ArrowLeft') || this.keys.has('KeyA')) x -= 1;
+        if (this.keys.has('ArrowRight') || this.keys.has('KeyD')) x += 1;
+        if (this.keys.has('ArrowUp') || this.keys.has('KeyW')) y -= 1;
+        if (this.keys.has('ArrowDown') || this.keys.has('KeyS')) y += 1;
+
+        const k = new Vec2(x, y);
+        if (k.len() > 0) return k.normalize();
+        return this.padAxis.clone();
+    }
+    getPointerTarget() {
+        return this.pointerActive ? this.pointerPos.clone() : null;
+    }
+    // Input that moves the player this frame (not coasting)
+    isSteering() {
+        return this.pointerActive || this.keys.size > 0 || this.padAxis.len() > 0;
+    }
+    // Any direct user input this frame, including extra touches
+    isActive() {
+        return this.isSteering() || this.pointers.size > 0;
+    }
+    // Everything the simulation reads this step, as an InputFrame. Hands over the pointer trails.
+    sample() {
+        const axis = this.getAxis();
+        const target = this.getPointerTarget();
+        const pen = this.primaryPointer();
+        const point = (v) => ({ x: v.x, y: v.y });
+        const frame = new InputFrame({
+            axis: point(axis),
+            target: target ? point(target) : null,
+            steering: this.isSteering(),
+            active: this.isActive(),
+            pen: pen && pen.pressure !== null ? { pressure: pen.pressure, tilt: pen.tilt } : null,
+            extras: this.extraPointers().map((pointer) => ({
+                id: pointer.id,
+                pos: point(pointer.pos),
+                trail: pointer.trail.map(point),
+                pressure: pointer.pressure,
+                tilt: pointer.tilt
+            }))
+        });
+        this.extraPointers().forEach((pointer) => { pointer.trail = []; });
+        return frame;
+    }
+}
+
+// One simulation step's input as plain JSON-safe data, so runs can be recorded and replayed.
+// Answers the same queries the simulation would otherwise ask Input.
+export class InputFrame {
+    constructor(data) { this.data = data; }
+    getAxis() { return new Vec2(this.data.axis.x, this.data.axis.y); }
+    getPointerTarget() { return this.data.target ? new Vec2(this.data.target.x, this.data.target.y) : null; }
+    isSteering() { return this.data.steering; }
+    isActive() { return this.data.active; }
+    primaryPointer() { return this.data.pen; }
+    extraPointers() { return this.data.extras; }
+}
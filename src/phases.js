@@ -0,0 +1,76 @@
+// Named phases of a visit, in the order they normally run:
+//   idle-hint      - nothing touched yet; the player jiggles now and then as a hint
+//   scratching     - erasing the ink over the phrase
+//   revealed-fade  - the phrase is uncovered; the player and leftover ink fade out
+//   text-rise      - the phrase rises to the top with the albums
+//   orbit          - the albums orbit through the redirect countdown
+//   exit           - black screen, then the redirect
+//   album-grid     - the albums settled as a grid
+//   album-focus    - one album focused with its player and track list
+//   level-clear    - challenge mode: a level before the last has ended; back to idle-hint for the next
+export const PHASES = ['idle-hint', 'scratching', 'revealed-fade', 'text-rise', 'orbit', 'exit', 'album-grid', 'album-focus', 'level-clear'];
+
+// Allowed moves besides the album views, which every phase can jump to (skipping ahead, deep links,
+// cancelling the redirect). album-focus to album-focus switches albums.
+const TRANSITIONS = {
+    'idle-hint': ['scratching'],
+    'scratching': ['revealed-fade', 'level-clear'],
+    'revealed-fade': ['text-rise'],
+    'text-rise': ['orbit'],
+    'orbit': ['exit'],
+    'exit': [],
+    'album-grid': [],
+    'album-focus': [],
+    'level-clear': ['idle-hint']
+};
+
+export const PHASE_EVENT = 'fngrnctr:phase';
+
+// The current phase, with enter/exit hooks per phase. Every transition is also dispatched on target
+// (the document in the page) as a PHASE_EVENT CustomEvent whose detail is { phase, previous, ...detail }.
+export class PhaseMachine {
+    constructor({ initial = 'idle-hint', target = null } = {}) {
+        this.phase = initial;
+        this.target = target;
+        this.hooks = new Map(PHASES.map((phase) => [phase, []]));
+    }
+
+    // hooks: { enter(detail, previous), exit(next) }, either optional; a phase can have several
+    on(phase, hooks) {
+        if (!this.hooks.has(phase)) throw new Error(`Unknown phase "${phase}"`);
+        this.hooks.get(phase).push(hooks);
+    }
+
+    is(...phases) {
+        return phases.includes(this.phase);
+    }
+
+    // Past scratching: the phrase counts as uncovered (between challenge levels it doesn't yet)
+    get revealed() {
+        return !this.is('idle-hint', 'scratching', 'level-clear');
+    }
+
+    // Showing the settled album views
+    get settled() {
+        return this.is('album-grid', 'album-focus');
+    }
+
+    // Move to next, running exit then enter hooks; detail is passed to enter hooks and the event.
+    // Returns false (and logs) for a move the phase order doesn't allow.
+    go(next, detail = {}) {
+        const previous = this.phase;
+        if (!this.hooks.has(next)) throw new Error(`Unknown phase "${next}"`);
+        const allowed = next === 'album-focus' || (next === 'album-grid' && previous !== next) || TRANSITIONS[previous].includes(next);
+        if (!allowed) {
+            console.error(`[phase] Cannot go from "${previous}" to "${next}"`);
+            return false;
+        }
+        this.hooks.get(previous).forEach((hook) => hook.exit && hook.exit(next));
+        this.phase = next;
+        this.hooks.get(next).forEach((hook) => hook.enter && hook.enter(detail, previous));
+        if (this.target) {
+            this.target.dispatchEvent(new CustomEvent(PHASE_EVENT, { detail: { phase: next, previous, ...detail } }));
+        }
+        return true;
+    }
+}
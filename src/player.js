@@ -0,0 +1,91 @@
+import { clamp, Vec2 } from './vec2.js';
+
+// The icon steered around the play area. bounds is the live { w, h } of that area in CSS px;
+// icon is an image drawn once it has loaded (a square in color stands in until then, or without one).
+export class Player {
+    constructor(bounds, icon = null) {
+        this.bounds = bounds;
+        this.icon = icon;
+        this.color = '#ffffff'; // Stand-in square's color (the theme's accent)
+        this.pos = new Vec2(bounds.w / 2, bounds.h / 2);
+        this.vel = new Vec2(0, 0);
+        this.size = 42;
+        this.accel = 1000;   // acceleration toward input direction (px/s^2)
+        this.maxSpeed = 500; // clamp top speed
+        this.drag = 2.5;     // damping coefficient (1/s), lower = more glide
+    }
+    update(dt, input, allowInput = true) {
+        // Check for direct pointer control first
+        const pointerTarget = input.getPointerTarget();
+        if (pointerTarget && allowInput) {
+            // Move player directly to pointer position with smooth interpolation
+            const dx = pointerTarget.x - this.pos.x;
+            const dy = pointerTarget.y - this.pos.y;
+            const distance = Math.hypot(dx, dy);
+
+            if (distance > 1) {
+                // Smooth follow with velocity for natural motion
+                const followSpeed = 12; // Higher = snappier follow
+                this.vel.x = dx * followSpeed;
+                this.vel.y = dy * followSpeed;
+            } else {
+                // Close enough, just set position directly
+                this.pos.copy(pointerTarget);
+                this.vel.set(0, 0);
+            }
+        } else if (allowInput) {
+            // Keyboard control
+            const dir = input.getAxis();
+            if (dir.len() > 0) {
+                this.vel.add(dir.clone().scale(this.accel * dt));
+            }
+            // Apply drag using exponential decay for smoother feel
+            const dragFactor = Math.exp(-this.drag * dt);
+            this.vel.scale(dragFactor);
+        } else {
+            // No input allowed, but apply drag to existing velocity
+            const dragFactor = Math.exp(-this.drag * dt);
+            this.vel.scale(dragFactor);
+        }
+
+        // Clamp max speed
+        const speed = this.vel.len();
+        if (speed > this.maxSpeed) {
+            this.vel.scale(this.maxSpeed / speed);
+        }
+
+        // Integrate position
+        this.pos.add(this.vel.clone().scale(dt));
+
+        const half = this.size / 2;
+        const { w, h } = this.bounds;
+        this.pos.x = clamp(this.pos.x, half, w - half);
+        this.pos.y = clamp(this.pos.y, half, h - half);
+
+        // Bounce a little if hitting edges (dampen velocity)
+        if (this.pos.x === half && this.vel.x < 0) this.vel.x *= -0.3;
+        if (this.pos.x === w - half && this.vel.x > 0) this.vel.x *= -0.3;
+        if (this.pos.y === half && this.vel.y < 0) this.vel.y *= -0.3;
+        if (this.pos.y === h - half && this.vel.y > 0) this.vel.y *= -0.3;
+    }
+    draw(ctx, opacity = 1) {
+        const half = this.size / 2;
+
+        if (this.icon && this.icon.complete) {
+            ctx.globalAlpha = opacity;
+            ctx.drawImage(this.icon,
+                Math.round(this.pos.x - half),
+                Math.round(this.pos.y - half),
+                this.size, this.size);
+            ctx.globalAlpha = 1;
+        } else {
+            // Square in the player's color while the image loads, or when the theme has none
+            ctx.globalAlpha = opacity;
+            ctx.fillStyle = this.color;
+            ctx.fillRect(Math.round(this.pos.x - half) + 0.5,
+                Math.round(this.pos.y - half) + 0.5,
+                this.size, this.size);
+            ctx.globalAlpha = 1;
+        }
+    }
+}
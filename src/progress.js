@@ -0,0 +1,48 @@
+// Completed reveals, remembered so returning visitors can skip ahead: how many, the last and best
+// time to reveal (ms) and when the last one was.
+//   storage    - localStorage, or a stand-in with getItem, setItem and removeItem; only touched
+//                inside try blocks, as it can be disabled
+//   alsoClears - other keys forgotten along with the progress (e.g. unlocked albums)
+export class Progress {
+    constructor({ storage = null, key = 'fngrnctr.progress', alsoClears = [] } = {}) {
+        this.storage = storage;
+        this.key = key;
+        this.alsoClears = alsoClears;
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(this.storage && this.storage.getItem(this.key));
+            if (saved && typeof saved === 'object') return saved;
+        } catch (err) {
+            // Storage disabled or corrupt - treat as a first visit
+        }
+        return { completions: 0, lastRevealMs: null, bestRevealMs: null, lastCompletedAt: null };
+    }
+
+    _save(progress) {
+        try {
+            if (this.storage) this.storage.setItem(this.key, JSON.stringify(progress));
+        } catch (err) {
+            console.error('[progress] Could not save progress:', err);
+        }
+    }
+
+    // Count a reveal that took revealMs, finished at date
+    recordCompletion(revealMs, date = new Date()) {
+        const progress = this.load();
+        progress.completions = (progress.completions || 0) + 1;
+        progress.lastRevealMs = Math.round(revealMs);
+        progress.bestRevealMs = progress.bestRevealMs ? Math.min(progress.bestRevealMs, progress.lastRevealMs) : progress.lastRevealMs;
+        progress.lastCompletedAt = date.toISOString();
+        this._save(progress);
+    }
+
+    clear() {
+        try {
+            if (this.storage) [this.key, ...this.alsoClears].forEach((key) => this.storage.removeItem(key));
+        } catch (err) {
+            console.error('[progress] Could not clear progress:', err);
+        }
+    }
+}
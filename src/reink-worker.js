@@ -0,0 +1,41 @@
+// Runs the re-ink fade pass off the main thread (started as a module worker, see InkLayer).
+// It keeps its own copy of the ink on an OffscreenCanvas and of the reveal ages: the page sends a
+// full copy ('sync') after a resize and every change after that ('op'), and each 'fade' pass is
+// answered with an ImageBitmap of the faded ink, or none when nothing was fading.
+import { fadePass, applyInkOp } from './reink.js';
+import { AgeGrid } from './age-grid.js';
+
+let canvas = null;
+let ctx = null;
+let dpr = 1;
+const ages = new AgeGrid();
+
+self.onmessage = (e) => {
+    const message = e.data;
+    if (message.type === 'sync') {
+        canvas = new OffscreenCanvas(message.width, message.height);
+        ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.putImageData(new ImageData(new Uint8ClampedArray(message.ink), message.width, message.height), 0, 0);
+        dpr = message.dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ages.w = message.gridW;
+        ages.h = message.gridH;
+        ages.ages = new Float64Array(message.ages);
+    } else if (message.type === 'op') {
+        if (ctx) applyInkOp(ctx, ages, message.op, canvas.width / dpr, canvas.height / dpr);
+    } else if (message.type === 'fade') {
+        const { id, cellScale, now, dt, fadeDelay, fadeDuration, inkColor } = message;
+        if (!ctx) {
+            self.postMessage({ id, bitmap: null });
+            return;
+        }
+        const inkData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        if (!fadePass(inkData.data, canvas.width, ages.ages, ages.w, cellScale, now, dt, fadeDelay, fadeDuration, inkColor)) {
+            self.postMessage({ id, bitmap: null });
+            return;
+        }
+        ctx.putImageData(inkData, 0, 0);
+        // A snapshot, so the worker's copy stays in place for the next pass
+        createImageBitmap(canvas).then((bitmap) => self.postMessage({ id, bitmap }, [bitmap]));
+    }
+};
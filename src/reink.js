@@ -0,0 +1,101 @@
+// Re-ink fade kernel and ink drawing, shared by InkLayer and reink-worker.js
+import { clamp } from './vec2.js';
+
+export const FADE_DELAY_MS = 3000; // Revealed pixels stay clear this long
+export const FADE_DURATION_MS = 4500; // Then ease back to the ink color over this long
+
+// Raise ink alpha towards its eased target for every revealed pixel.
+// inkPixels is the RGBA ink buffer, inkWidth pixels wide. ages is the reveal-age grid
+// (gridW cells wide, 0 = never revealed) and cellScale maps ink pixels to grid cells.
+// now is on the same clock as the ages; dt is seconds since the last pass. fadeDelay and
+// fadeDuration (ms) change the fade speed, e.g. per challenge level. inkColor is the [r, g, b] the
+// ink returns in (erased pixels read back black).
+// Returns true if any pixel is fading, i.e. the ink buffer needs to be written back.
+export function fadePass(inkPixels, inkWidth, ages, gridW, cellScale, now, dt,
+    fadeDelay = FADE_DELAY_MS, fadeDuration = FADE_DURATION_MS, inkColor = [0, 0, 0]) {
+    // Calculate fade rate from duration (opacity units per second)
+    const fadeRate = 255 / (fadeDuration / 1000);
+    const step = Math.ceil(dt * fadeRate);
+    const inkHeight = inkPixels.length / 4 / inkWidth;
+    const gridH = ages.length / gridW;
+
+    let anyFading = false;
+
+    for (let y = 0; y < inkHeight; y++) {
+        const row = Math.min(gridH - 1, (y * cellScale) | 0) * gridW;
+        for (let x = 0, i = y * inkWidth * 4; x < inkWidth; x++, i += 4) {
+            // Skip fully opaque pixels for performance
+            if (inkPixels[i + 3] === 255) continue;
+
+            const revealedAt = ages[row + Math.min(gridW - 1, (x * cellScale) | 0)];
+            if (revealedAt === 0) continue;
+
+            const timeSinceReveal = now - revealedAt;
+            if (timeSinceReveal > fadeDelay) {
+                anyFading = true;
+                // Calculate fade progress for this pixel
+                const fadeTime = timeSinceReveal - fadeDelay;
+                const fadeProgress = Math.min(1.0, fadeTime / fadeDuration);
+
+                // Quadratic easing for acceleration
+                const easedProgress = fadeProgress * fadeProgress;
+
+                // Target opacity (0 = transparent, 255 = solid ink)
+                const targetAlpha = Math.floor(easedProgress * 255);
+
+                // Gradually increase alpha towards target (fade back to the ink color)
+                if (inkPixels[i + 3] < targetAlpha) {
+                    inkPixels[i] = inkColor[0];
+                    inkPixels[i + 1] = inkColor[1];
+                    inkPixels[i + 2] = inkColor[2];
+                    inkPixels[i + 3] = Math.min(255, inkPixels[i + 3] + step);
+                }
+            }
+        }
+    }
+
+    return anyFading;
+}
+
+// Draw one change to the ink into ctx (with a CSS px transform over a w x h area) and record it
+// in ages (an AgeGrid). InkLayer applies each change on the page and, when the fade runs in the
+// worker, again on the worker's copy, so both stay the same.
+//   { type: 'erase', x, y, radius, stops, softness, now } - soft-edged circle scratched off at now (ms);
+//       softness (0..1) pulls the inner gradient stops towards the center for a wider feathered edge
+//   { type: 'fill', color }    - ink everything back over and forget every reveal
+//   { type: 'recolor', color } - repaint the remaining ink, keeping what is scratched off
+//   { type: 'thin', alpha }    - erase alpha of the remaining ink everywhere
+export function applyInkOp(ctx, ages, op, w, h) {
+    if (op.type === 'erase') {
+        const { x, y, radius, stops } = op;
+        const inner = 1 - clamp(op.softness, 0, 1);
+        ctx.globalCompositeOperation = 'destination-out';
+        const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
+        stops.forEach(([offset, alpha], i) => {
+            g.addColorStop(i === stops.length - 1 ? offset : offset * inner, `rgba(0,0,0,${alpha})`);
+        });
+        ctx.fillStyle = g;
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.globalCompositeOperation = 'source-over';
+        ages.stamp(x, y, radius, op.now); // Only newly revealed cells take the time
+    } else if (op.type === 'fill') {
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = op.color;
+        ctx.fillRect(0, 0, w, h);
+        ages.clear();
+    } else if (op.type === 'recolor') {
+        ctx.globalCompositeOperation = 'source-in';
+        ctx.fillStyle = op.color;
+        ctx.fillRect(0, 0, w, h);
+        ctx.globalCompositeOperation = 'source-over';
+    } else if (op.type === 'thin') {
+        ctx.globalCompositeOperation = 'destination-out';
+        ctx.globalAlpha = op.alpha;
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, w, h);
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+}
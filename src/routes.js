@@ -0,0 +1,14 @@
+// Hash routes for the album views: #/albums (grid) and #/album/<slug> (focused)
+
+// The view a URL hash names, { slug } with null for the grid, or null when it names none
+export function parseRoute(hash) {
+    const match = /^#\/album\/([a-z0-9-]+)\/?$/.exec(hash);
+    if (match) return { slug: match[1] };
+    if (/^#\/albums\/?$/.test(hash)) return { slug: null };
+    return null;
+}
+
+// The hash for an album's focused view, or the grid's when slug is null
+export function routeHash(slug) {
+    return slug === null ? '#/albums' : `#/album/${slug}`;
+}
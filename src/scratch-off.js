@@ -0,0 +1,308 @@
+import { measureReveal } from './text.js';
+
+export const SIM_STEP = 1 / 60; // Fixed simulation step (s)
+export const JIGGLE_DELAY = 5.0; // Seconds to wait before starting jiggle
+export const REVEAL_THRESHOLD = 0.95; // Fraction of glyph pixels to uncover before the text counts as revealed
+
+// Stamp spacing along a stroke, so the circles overlap
+const STROKE_SPACING = 0.25; // Fraction of the radius between stamps
+const STROKE_MAX_STAMPS = 64; // Per path segment, so jumps (e.g. after a resize) stay cheap
+const PEER_ACTIVE = 0.25; // Seconds a co-op peer's stamp counts as activity (their stamps arrive in batches)
+
+// The scratch-off itself, advanced in fixed steps: player physics, the idle jiggle hint, the brush,
+// re-ink and the reveal check. It reads input only through InputFrames and draws only into the
+// InkLayer, so it runs the same headless as in the page.
+//   player, ink   - the Player and InkLayer it drives
+//   phases        - the PhaseMachine; moves it from idle-hint to scratching to revealed-fade
+//                   (with { revealMs }, the time from the first move)
+//   revealPhase   - phase to enter once the text is uncovered instead of revealed-fade
+//                   (level-clear between challenge levels)
+//   size          - live { w, h, dpr } of the screen
+//   brush         - config.brush
+//   getMask       - current reveal mask (see buildRevealMask), which changes with the layout
+//   onMeasure     - called with each new reveal measurement
+//   measureIdle   - whether to keep measuring while idle, so a visible meter follows the re-ink fade
+//   reducedMotion - the visitor prefers reduced motion; the idle jiggle hint never starts
+//   world         - optional World of walls and collectibles acting on the player after it moves
+//   onStamp       - called with (x, y, radius, softness) for each brush stamp this visitor makes
+export class ScratchOff {
+    constructor({
+        player, ink, phases, size, brush, getMask,
+        onMeasure = () => {}, measureIdle = () => false, reducedMotion = false, world = null, revealPhase = () => 'revealed-fade',
+        onStamp = () => {}
+    }) {
+        this.player = player;
+        this.ink = ink;
+        this.phases = phases;
+        this.size = size;
+        this.brush = brush;
+        this.getMask = getMask;
+        this.onMeasure = onMeasure;
+        this.measureIdle = measureIdle;
+        this.reducedMotion = reducedMotion;
+        this.world = world;
+        this.revealPhase = revealPhase;
+        this.onStamp = onStamp;
+
+        this.time = 0; // Simulation clock (s); only advances in fixed steps
+        this.steps = 0; // Steps simulated so far, also for throttling expensive operations
+        this.revealStartedAt = 0; // Simulation time (s) of the first interaction
+        this.stats = { total: 0, letters: [] }; // Latest reveal measurement, for UI
+        this.inkAccumulator = 0; // Track how much re-inking has occurred
+        this.fadeOwed = 0; // Seconds of re-ink fade owed by the steps since the last flushFade
+        this.fadeAt = 0; // Fade-clock time (ms) of the latest of those steps
+
+        // Jiggle hint state, only used during idle-hint
+        this.idleTime = 0; // Time the current jiggle has run
+        this.jiggleActive = false; // Whether jiggle animation is active
+        this.postJigglePause = 0; // Track pause time after jiggle ends
+        this.jiggleCycleCount = 0; // Track number of jiggle cycles (0 = first cycle)
+
+        this.lastBrushPos = null; // Where the player's brush stamped last step, while a stroke is ongoing
+        this.lastExtraPos = new Map(); // Same for every extra pointer, by pointer id
+        this.strokeSpeed = 0; // Fastest brush erasing last step (px/s), 0 when none did
+        this.peerStampedAt = -Infinity; // Simulation time (s) of the latest co-op peer's stamp
+
+        phases.on('idle-hint', {
+            // Interacting (or skipping ahead) stops the hint for good
+            exit: () => {
+                this.jiggleActive = false;
+                this.idleTime = 0;
+                this.postJigglePause = 0;
+                this.jiggleCycleCount = 0;
+            }
+        });
+        phases.on('scratching', { enter: () => { this.revealStartedAt = this.time; } });
+    }
+
+    // Start over on a fresh text (the next challenge level): forget the measurement, the strokes and
+    // the idle timers. The ink itself is refilled by the caller.
+    restart() {
+        this.stats = { total: 0, letters: [] };
+        this.inkAccumulator = 0;
+        this.fadeOwed = 0;
+        this.idleTime = 0;
+        this.jiggleActive = false;
+        this.postJigglePause = 0;
+        this.jiggleCycleCount = 0;
+        this.lastBrushPos = null;
+        this.lastExtraPos.clear();
+        this.strokeSpeed = 0;
+        this.peerStampedAt = -Infinity;
+    }
+
+    // The re-ink fade runs on the simulation clock (in ms), so it stops whenever stepping does
+    now() {
+        return this.time * 1000;
+    }
+
+    // Run the re-ink fade owed by the steps since the last call in one pass, as a pass goes over
+    // the whole ink layer. Called once per rendered frame; true when there was any to run.
+    flushFade() {
+        if (this.fadeOwed === 0) return false;
+        this.ink.fade(this.fadeOwed, this.fadeAt);
+        this.fadeOwed = 0;
+        return true;
+    }
+
+    // Whether the idle hint is jiggling the player right now
+    isJiggling() {
+        return this.jiggleActive && this.phases.is('idle-hint');
+    }
+
+    // Brush radius for a speed in px/s, scaled by pen pressure and tilt when a pen drives it
+    brushRadius(speed, pointer = null) {
+        const brush = this.brush;
+        const base = this.player.size * brush.baseScale;
+        const maxScreenRadius = Math.min(this.size.w, this.size.h) * brush.maxScale; // max radius cap
+        // Normalize speed to 0..1; easing below 1 grows fast early, slower near the cap
+        const sNorm = Math.min(1, speed / (this.player.maxSpeed || 400));
+        let radius = Math.max(brush.minRadius, base + Math.pow(sNorm, brush.speedEasing) * (maxScreenRadius - base));
+        if (pointer && pointer.pressure !== null) {
+            // Half pressure is neutral: a light touch narrows the brush, a firm one widens it
+            radius *= Math.max(0.2, 1 + brush.pressure * (pointer.pressure * 2 - 1));
+        }
+        if (pointer) radius *= 1 + pointer.tilt * brush.tilt;
+        return radius;
+    }
+
+    // One of this visitor's brush stamps: erase it and pass it on (to co-op peers)
+    stampBrush(x, y, radius, softness = 0) {
+        this.erase(x, y, radius, softness);
+        this.onStamp(x, y, radius, softness);
+    }
+
+    // A co-op peer's brush stamp. It starts the reveal like this visitor's own input would, and
+    // keeps counting as activity for a moment, so every copy of the shared layer holds off re-inking
+    // and can be revealed by the peers' strokes alone.
+    peerStamp(x, y, radius, softness = 0) {
+        if (!this.phases.is('idle-hint', 'scratching')) return;
+        if (this.phases.is('idle-hint')) this.phases.go('scratching');
+        this.erase(x, y, radius, softness);
+        this.peerStampedAt = this.time;
+    }
+
+    // Erase a soft-edged circle of ink with the brush and record when it was revealed.
+    // Softness (0..1) widens the feathered edge.
+    erase(x, y, radius, softness = 0) {
+        this.ink.erase(x, y, radius, this.brush.stops, softness, this.now());
+    }
+
+    // Stamp the brush along a path of points, spaced closely enough that the circles overlap.
+    // The first point only starts the stroke when there is more than one; it was stamped last step.
+    stampStroke(path, radius, softness = 0) {
+        if (path.length === 1) {
+            this.stampBrush(path[0].x, path[0].y, radius, softness);
+            return;
+        }
+        const spacing = Math.max(1, radius * STROKE_SPACING);
+        for (let i = 1; i < path.length; i++) {
+            const from = path[i - 1], to = path[i];
+            const steps = Math.min(STROKE_MAX_STAMPS, Math.max(1, Math.ceil(Math.hypot(to.x - from.x, to.y - from.y) / spacing)));
+            for (let step = 1; step <= steps; step++) {
+                const t = step / steps;
+                this.stampBrush(from.x + (to.x - from.x) * t, from.y + (to.y - from.y) * t, radius, softness);
+            }
+        }
+    }
+
+    // One fixed step. frame is an InputFrame (or anything answering the same queries),
+    // so a recorded run replays exactly.
+    step(dt, frame) {
+        const player = this.player;
+        const phases = this.phases;
+        this.steps++;
+        this.time += dt;
+
+        player.update(dt, frame, !phases.revealed);
+        if (this.world) this.world.update(dt);
+
+        // Apply jiggle movement to actual player position
+        if (this.isJiggling()) {
+            const time = this.time;
+            const freq = 4.0;
+            const jiggleDuration = this.idleTime;
+            // Max amplitude increases with each cycle: 2px -> 4px -> 6px
+            const maxAmplitudeForCycle = Math.min(6.0, 2.0 + this.jiggleCycleCount * 2.0);
+            const amplitude = Math.min(maxAmplitudeForCycle, 1.0 + Math.floor(jiggleDuration / 0.5));
+
+            // Apply small velocity changes to create jiggle movement
+            const jiggleVelX = Math.cos(time * freq) * amplitude * 20; // Velocity component
+            const jiggleVelY = Math.sin(time * freq * 1.5) * amplitude * 16;
+            player.vel.x = jiggleVelX;
+            player.vel.y = jiggleVelY;
+
+            this.idleTime += dt;
+
+            // Duration increases with each cycle: 1s -> 2s -> 3s
+            const jiggleDurationForCycle = Math.min(3.0, 1.0 + this.jiggleCycleCount);
+
+            // Stop jiggling after duration
+            if (this.idleTime >= jiggleDurationForCycle) {
+                this.jiggleActive = false;
+                this.idleTime = 0;
+                this.postJigglePause = 0;
+                this.jiggleCycleCount++; // Increment cycle count for next jiggle
+            }
+        }
+
+        // Erase only after first interaction/movement so no red shows initially
+        const speed = player.vel.len();
+        // Only count actual user input as active, not jiggle movement or coasting
+        const isActive = frame.isActive();
+        // Co-op peers scratching count too, for measuring and re-ink but not for this visitor's brush
+        const anyActive = isActive || this.time - this.peerStampedAt < PEER_ACTIVE;
+        if (phases.is('idle-hint')) {
+            if (isActive) {
+                phases.go('scratching'); // Immediately stops any active jiggle
+            } else if (speed < 0.1 && !this.jiggleActive && !this.reducedMotion) {
+                // Jiggle hint: start after the player has sat at rest for a while
+                this.postJigglePause += dt;
+                if (this.postJigglePause >= JIGGLE_DELAY) {
+                    this.jiggleActive = true;
+                    this.idleTime = 0; // Reset for tracking jiggle duration
+                    this.postJigglePause = 0;
+                }
+            }
+        }
+
+        // Check reveal percentage only while scratching, when active, and throttled to every 5 steps.
+        // While measureIdle() holds it also re-measures every 15 steps when idle.
+        if (phases.is('scratching') && (anyActive ? this.steps % 5 === 0 : this.steps % 15 === 0 && this.measureIdle())) {
+            this.stats = measureReveal(this.getMask(), this.ink.ctx);
+            if (anyActive && this.stats.total >= REVEAL_THRESHOLD) {
+                phases.go(this.revealPhase(), { revealMs: (this.time - this.revealStartedAt) * 1000 });
+            }
+            this.onMeasure(this.stats);
+        }
+
+        // Re-ink only when idle, so revealed text persists while moving
+        // Also apply during jiggle cycle when not actively jiggling
+        const reinkCondition = phases.is('scratching') ||
+            (phases.is('idle-hint') && (this.postJigglePause > 0 || this.idleTime > 0));
+
+        if (reinkCondition) {
+            // Skip expensive pixel processing while actively erasing for smoother mobile performance
+            if (!anyActive) {
+                this.fadeOwed += dt;
+                this.fadeAt = this.now();
+            }
+
+            // Track idle time for full reset
+            if (anyActive || this.jiggleActive) {
+                this.inkAccumulator = 0;
+            } else {
+                this.inkAccumulator += dt;
+
+                // Full reset once idle long enough for the fade to have inked everything back
+                if (this.inkAccumulator >= (this.ink.fadeDelay + this.ink.fadeDuration) / 1000) {
+                    this.ink.refill();
+                    this.inkAccumulator = 0;
+                }
+            }
+        }
+
+        // Don't re-ink during jiggle animation (allow text to be revealed)
+        if (this.isJiggling()) {
+            this.inkAccumulator = 0; // Keep accumulator at zero during jiggle
+        }
+
+        this.strokeSpeed = 0;
+        if (phases.is('scratching') && isActive) {
+            // The player's brush grows with its speed; a pen steering it adds pressure and tilt.
+            // It sweeps from where it was last step so fast glides leave no gaps.
+            if (frame.isSteering()) {
+                const pen = frame.primaryPointer();
+                const pos = player.pos.clone();
+                this.stampStroke(this.lastBrushPos ? [this.lastBrushPos, pos] : [pos], this.brushRadius(speed, pen), pen ? pen.tilt * this.brush.tilt : 0);
+                this.lastBrushPos = pos;
+                this.strokeSpeed = speed;
+            } else {
+                this.lastBrushPos = null;
+            }
+            // Every other finger or pen erases along its own path, sized by its own speed
+            const extras = frame.extraPointers();
+            extras.forEach((pointer) => {
+                const last = this.lastExtraPos.get(pointer.id);
+                const path = last ? [last, ...pointer.trail] : pointer.trail.slice();
+                let length = 0;
+                for (let i = 1; i < path.length; i++) length += Math.hypot(path[i].x - path[i - 1].x, path[i].y - path[i - 1].y);
+                if (!path.length) path.push(pointer.pos);
+                this.stampStroke(path, this.brushRadius(length / dt, pointer), pointer.tilt * this.brush.tilt);
+                this.strokeSpeed = Math.max(this.strokeSpeed, length / dt);
+                this.lastExtraPos.set(pointer.id, pointer.pos);
+            });
+            this.lastExtraPos.forEach((pos, id) => {
+                if (!extras.some((pointer) => pointer.id === id)) this.lastExtraPos.delete(id);
+            });
+        } else {
+            this.lastBrushPos = null;
+            this.lastExtraPos.clear();
+        }
+
+        // Erase during jiggle animation (player is actually moving); the hint stays on this screen
+        if (this.isJiggling()) {
+            this.erase(player.pos.x, player.pos.y, Math.max(this.brush.idleRadius, player.size * this.brush.baseScale));
+        }
+    }
+}
@@ -0,0 +1,79 @@
+// What follows the reveal: the player and the leftover ink fade out (revealed-fade), the text rises
+// with the albums (text-rise), then the albums either settle into the grid or orbit through the
+// countdown (orbit) before the black screen and redirect (exit). Timing lives here and moves the
+// PhaseMachine along; the page presents each frame from what update() returns.
+export const FADE_OUT = 2; // Seconds for the player and leftover ink to fade
+export const RISE_DELAY = 1.5; // Seconds into the fade before the text starts rising
+export const RISE_RATE = 0.333; // Rise progress per second (a 3 second rise)
+export const EXIT_DELAY = 1; // Seconds of black screen between the countdown and the redirect
+
+export class RevealSequence {
+    constructor(afterReveal, phases) {
+        this.afterReveal = afterReveal; // config.afterReveal
+        this.phases = phases;
+        this.fadeTime = 0; // Delay timer before text rises
+        this.riseProgress = 0; // Animation progress 0..1 for rising text
+        this.redirectTimer = 0; // Time since the orbit started (s)
+        this.orbitAngle = 0; // Current angle for orbit rotation
+    }
+
+    get playerOpacity() {
+        return Math.max(0, 1 - this.fadeTime / FADE_OUT);
+    }
+
+    // The text has finished rising
+    get risen() {
+        return this.riseProgress >= 1;
+    }
+
+    // Advance by dt seconds once the text is revealed. Returns this frame's steps:
+    //   inkFade  - fraction of the fade done, while the leftover ink fades (else null)
+    //   rise     - eased rise progress 0..1, while the text rises (else null)
+    //   settle   - { slug } when the albums should settle now, slug naming an album to focus
+    //   orbit    - { speedMultiplier } while the albums orbit through the countdown
+    //   redirect - time to leave for afterReveal.url
+    update(dt) {
+        const phases = this.phases;
+        const result = { inkFade: null, rise: null, settle: null, orbit: null, redirect: false };
+        if (!phases.revealed) return result;
+        if (this.fadeTime < FADE_OUT) {
+            this.fadeTime += dt;
+            result.inkFade = this.fadeTime / FADE_OUT;
+        }
+        if (phases.is('revealed-fade') && this.fadeTime >= RISE_DELAY) phases.go('text-rise');
+        if (phases.is('text-rise')) {
+            this.riseProgress = Math.min(1, this.riseProgress + dt * RISE_RATE);
+            // Ease out cubic for smooth deceleration
+            result.rise = 1 - Math.pow(1 - this.riseProgress, 3);
+            if (this.risen) {
+                const after = this.afterReveal;
+                if (after.action === 'redirect') phases.go('orbit', { countdown: after.countdown });
+                else result.settle = { slug: after.action === 'album' ? after.album : null };
+            }
+        }
+        if (phases.is('orbit', 'exit')) {
+            const countdown = this.afterReveal.countdown;
+            this.redirectTimer += dt;
+            if (phases.is('orbit') && this.redirectTimer >= countdown) phases.go('exit', { url: this.afterReveal.url });
+            if (phases.is('orbit')) {
+                // Speed increases as countdown progresses (0.5x to 2.5x speed)
+                const speedMultiplier = 0.5 + (this.redirectTimer / countdown) * 2;
+                this.orbitAngle += dt * 1.5 * speedMultiplier; // Base speed: 1.5 rad/sec
+                result.orbit = { speedMultiplier };
+            }
+            result.redirect = phases.is('exit') && this.redirectTimer >= countdown + EXIT_DELAY;
+        }
+        return result;
+    }
+
+    // Whether a key or tap now should cancel the redirect and settle on the grid
+    canCancel() {
+        return this.afterReveal.cancellable && this.phases.is('orbit');
+    }
+
+    // Jump to the end of the fade and rise
+    skip() {
+        this.fadeTime = FADE_OUT;
+        this.riseProgress = 1;
+    }
+}
@@ -0,0 +1,175 @@
+import { clamp } from './vec2.js';
+
+// Lay out the reveal phrase (config.phrase) for a screen of size { w, h }, measuring with ctx.
+// Lines wrap at the configured width and the text shrinks until the block fits.
+export function layoutText(ctx, phrase, size) {
+    const family = phrase.fontFace ? `'${phrase.fontFace.family}', ${phrase.font}` : phrase.font;
+    const maxWidth = size.w * phrase.maxWidth;
+    const maxHeight = size.h * 0.8;
+    let fontSize = Math.max(8, Math.floor(Math.min(size.w, size.h) * phrase.scale));
+
+    // Greedy word wrap of every configured line at the given font size
+    const wrap = (fontPx) => {
+        ctx.font = `${phrase.weight} ${fontPx}px ${family}`;
+        const lines = [];
+        phrase.lines.forEach((line) => {
+            let current = '';
+            line.split(/\s+/).filter(Boolean).forEach((word) => {
+                const candidate = current ? `${current} ${word}` : word;
+                if (current && ctx.measureText(candidate).width > maxWidth) {
+                    lines.push(current);
+                    current = word;
+                } else {
+                    current = candidate;
+                }
+            });
+            lines.push(current);
+        });
+        return lines.map((text) => ({ text, width: ctx.measureText(text).width }));
+    };
+
+    // Shrink until the widest line (e.g. a single long word) and the whole block fit
+    let lines = wrap(fontSize);
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const widest = Math.max(...lines.map((line) => line.width));
+        const fit = Math.min(maxWidth / widest, maxHeight / (lines.length * fontSize * phrase.lineHeight));
+        if (fit >= 1 || fontSize <= 8) break;
+        fontSize = Math.max(8, Math.floor(fontSize * fit));
+        lines = wrap(fontSize);
+    }
+
+    const lineHeight = fontSize * phrase.lineHeight;
+    return {
+        font: ctx.font,
+        fontSize,
+        lineHeight,
+        // Lines are centered on the text's center point; offsetY is relative to it
+        lines: lines.map((line, i) => ({ ...line, offsetY: (i - (lines.length - 1) / 2) * lineHeight })),
+        width: Math.max(...lines.map((line) => line.width)),
+        height: lines.length * lineHeight
+    };
+}
+
+// Bounds of the laid-out phrase in CSS pixels, centered at (w / 2, centerY)
+export function textBounds(layout, size, centerY = size.h / 2) {
+    return {
+        x: size.w / 2 - layout.width / 2,
+        y: centerY - layout.height / 2,
+        w: layout.width,
+        h: layout.height
+    };
+}
+
+// Box of every word of the laid-out phrase in CSS pixels, centered on the screen like the loop draws
+// it, in reading order. Measures with ctx (its font is changed).
+export function wordBoxes(layout, size, ctx) {
+    ctx.font = layout.font;
+    const boxes = [];
+    layout.lines.forEach((line) => {
+        const left = size.w / 2 - line.width / 2;
+        const y = size.h / 2 + line.offsetY - layout.lineHeight / 2;
+        let start = 0;
+        line.text.split(' ').forEach((word) => {
+            boxes.push({ x: left + ctx.measureText(line.text.slice(0, start)).width, y, w: ctx.measureText(word).width, h: layout.lineHeight });
+            start += word.length + 1;
+        });
+    });
+    return boxes;
+}
+
+// Mask of the rendered glyph pixels, in ink-canvas device pixels (inkCanvas gives the extent);
+// rebuild it whenever the text layout changes. createCanvas returns a blank canvas to render into.
+// Returns null when the text is entirely off screen.
+export function buildRevealMask(layout, size, inkCanvas, createCanvas) {
+    const dpr = size.dpr;
+    const bounds = textBounds(layout, size);
+    const x0 = clamp(Math.floor(bounds.x * dpr), 0, inkCanvas.width);
+    const y0 = clamp(Math.floor(bounds.y * dpr), 0, inkCanvas.height);
+    const x1 = clamp(Math.ceil((bounds.x + bounds.w) * dpr), 0, inkCanvas.width);
+    const y1 = clamp(Math.ceil((bounds.y + bounds.h) * dpr), 0, inkCanvas.height);
+    const w = x1 - x0;
+    const h = y1 - y0;
+    if (w <= 0 || h <= 0) return null;
+
+    // Render the phrase exactly as the loop draws it, offset into the region
+    const maskCanvas = createCanvas();
+    maskCanvas.width = w;
+    maskCanvas.height = h;
+    const maskCtx = maskCanvas.getContext('2d', { willReadFrequently: true });
+    maskCtx.setTransform(dpr, 0, 0, dpr, -x0, -y0);
+    maskCtx.fillStyle = '#fff';
+    maskCtx.textAlign = 'center';
+    maskCtx.textBaseline = 'middle';
+    maskCtx.font = layout.font;
+
+    // Letter boundaries per line, measured from the line's left edge
+    const letters = [];
+    const lineLetters = layout.lines.map((line) => {
+        maskCtx.fillText(line.text, size.w / 2, size.h / 2 + line.offsetY);
+        const left = size.w / 2 - line.width / 2;
+        const entries = [];
+        for (let k = 0; k < line.text.length; k++) {
+            if (/\s/.test(line.text[k])) continue;
+            entries.push({
+                start: left + maskCtx.measureText(line.text.slice(0, k)).width,
+                letter: letters.length
+            });
+            letters.push({ char: line.text[k], count: 0 });
+        }
+        return entries;
+    });
+
+    // Keep every pixel that is mostly covered by a glyph, tagged with its letter
+    const pixels = maskCtx.getImageData(0, 0, w, h).data;
+    const indices = [];
+    const letterOf = [];
+    for (let y = 0; y < h; y++) {
+        const cssY = (y0 + y + 0.5) / dpr - size.h / 2;
+        const lineIndex = clamp(Math.round(cssY / layout.lineHeight + (layout.lines.length - 1) / 2), 0, layout.lines.length - 1);
+        const entries = lineLetters[lineIndex];
+        for (let x = 0; x < w; x++) {
+            const i = y * w + x;
+            if (pixels[i * 4 + 3] < 128 || entries.length === 0) continue;
+            const cssX = (x0 + x + 0.5) / dpr;
+            let e = entries.length - 1;
+            while (e > 0 && entries[e].start > cssX) e--;
+            indices.push(i);
+            letterOf.push(entries[e].letter);
+            letters[entries[e].letter].count++;
+        }
+    }
+
+    return {
+        x: x0, y: y0, w, h,
+        indices: Uint32Array.from(indices),
+        letterOf: Uint16Array.from(letterOf),
+        letters
+    };
+}
+
+// Fraction of the mask's glyph pixels uncovered on the ink (alpha below half), overall and per letter
+export function measureReveal(mask, inkCtx) {
+    if (!mask || mask.indices.length === 0) {
+        return { total: 0, letters: [] };
+    }
+
+    // One batched read of the text region
+    const { x, y, w, h, indices, letterOf, letters } = mask;
+    const ink = inkCtx.getImageData(x, y, w, h).data;
+    const revealed = new Uint32Array(letters.length);
+    let revealedTotal = 0;
+    for (let n = 0; n < indices.length; n++) {
+        if (ink[indices[n] * 4 + 3] < 128) {
+            revealed[letterOf[n]]++;
+            revealedTotal++;
+        }
+    }
+
+    return {
+        total: revealedTotal / indices.length,
+        letters: letters.map((letter, i) => ({
+            char: letter.char,
+            progress: letter.count > 0 ? revealed[i] / letter.count : 1
+        }))
+    };
+}
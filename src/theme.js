@@ -0,0 +1,59 @@
+// Color themes: the page background (seen where the ink is scratched away), the ink itself, the
+// revealed text, an accent for borders and outlines, and the player sprite. Colors are #rgb or
+// #rrggbb hex; player is an image URL, or null for a plain square in the accent color.
+export const THEMES = {
+    dark: { background: '#000000', ink: '#000000', text: '#ffffff', accent: '#ffffff', player: 'nectar-preview.png' },
+    light: { background: '#f2efe6', ink: '#f2efe6', text: '#111111', accent: '#111111', player: 'nectar-preview.png' },
+    ruby: { background: '#14040a', ink: '#2a0612', text: '#ff3b5c', accent: '#ff3b5c', player: 'nectar-preview.png' },
+    neon: { background: '#050014', ink: '#0b0030', text: '#39ff14', accent: '#ff2fd6', player: null }
+};
+export const DEFAULT_THEME = 'dark';
+const COLOR_KEYS = ['background', 'ink', 'text', 'accent'];
+
+// [r, g, b] for a #rgb or #rrggbb color, or null
+export function parseHexColor(color) {
+    const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(typeof color === 'string' ? color.trim() : '');
+    if (!match) return null;
+    const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+    return [0, 2, 4].map((i) => parseInt(hex.slice(i, i + 2), 16));
+}
+
+// A complete theme from spec: a theme name, or an object overriding base (a complete theme)
+// whose optional "extends" names the theme to start from instead. Unknown names and invalid
+// colors are logged and fall back to base.
+export function resolveTheme(spec, base = THEMES[DEFAULT_THEME], themes = THEMES) {
+    const fail = (msg) => console.error(`[theme] ${msg}`);
+    if (spec === null || spec === undefined) return base;
+    if (typeof spec === 'string') {
+        if (themes[spec]) return resolveTheme(themes[spec], base, themes);
+        fail(`Unknown theme "${spec}"; using the current one`);
+        return base;
+    }
+    if (typeof spec !== 'object') {
+        fail(`Theme must be a name or an object, not ${JSON.stringify(spec)}; using the current one`);
+        return base;
+    }
+    const from = typeof spec.extends === 'string' ? resolveTheme(spec.extends, base, themes) : base;
+    const theme = { ...from };
+    COLOR_KEYS.forEach((key) => {
+        if (spec[key] === undefined) return;
+        if (parseHexColor(spec[key])) theme[key] = spec[key].trim();
+        else fail(`Invalid ${key} color "${spec[key]}" (expected #rgb or #rrggbb); using ${from[key]}`);
+    });
+    if (spec.player !== undefined) {
+        if (spec.player === null || (typeof spec.player === 'string' && spec.player.trim())) theme.player = spec.player;
+        else fail(`Invalid player sprite "${spec.player}"; using ${from.player}`);
+    }
+    return theme;
+}
+
+// Whether the theme's background is light, so the browser's own controls should be too
+export function isLightTheme(theme) {
+    const [r, g, b] = parseHexColor(theme.background);
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b > 128;
+}
+
+// Hex digits without the "#", expanded to six (for URLs such as Bandcamp's embed colors)
+export function hexDigits(color) {
+    return parseHexColor(color).map((n) => n.toString(16).padStart(2, '0')).join('');
+}
@@ -0,0 +1,153 @@
+import { formatDuration, parseDuration, playbackProgress } from './tracks.js';
+
+const RESTART_AFTER = 3; // Seconds into a track after which "previous" restarts it instead
+
+// In-page player for tracks with their own audio source: play/pause, previous/next and a progress
+// bar measured against the listed duration. It plays through the TrackQueue, running on into the
+// next album when one ends, and stays hidden until a track is picked.
+//   root     - element to build the controls into
+//   queue    - the TrackQueue
+//   audio    - an HTMLAudioElement, or anything with the same src, currentTime, paused, play(),
+//              pause() and events
+//   resolve  - turns a track's audio field into the URL to load
+//   onChange - called whenever the current track or play state changes
+export class TrackPlayer {
+    constructor(root, { queue, audio, resolve = (src) => src, onChange = () => {} }) {
+        this.root = root;
+        this.queue = queue;
+        this.audio = audio;
+        this.resolve = resolve;
+        this.onChange = onChange;
+
+        const doc = root.ownerDocument;
+        const button = (label, text, onClick) => {
+            const elem = doc.createElement('button');
+            elem.type = 'button';
+            elem.className = 'panel-button';
+            elem.setAttribute('aria-label', label);
+            elem.textContent = text;
+            elem.addEventListener('click', onClick);
+            return elem;
+        };
+        root.className = 'track-player panel hidden';
+        this.title = doc.createElement('div');
+        this.title.className = 'track-player-title';
+        this.prevButton = button('Previous track', '⏮', () => this.previous());
+        this.playButton = button('Play', '▶', () => this.toggle());
+        this.nextButton = button('Next track', '⏭', () => this.next());
+        this.bar = doc.createElement('div');
+        this.bar.className = 'track-progress';
+        this.bar.setAttribute('role', 'progressbar');
+        this.bar.setAttribute('aria-valuemin', '0');
+        this.bar.setAttribute('aria-valuemax', '100');
+        this.fill = doc.createElement('div');
+        this.fill.className = 'track-progress-fill';
+        this.bar.appendChild(this.fill);
+        // Click or tap the bar to seek
+        this.bar.addEventListener('click', (e) => {
+            const rect = this.bar.getBoundingClientRect();
+            if (rect.width > 0) this.seek((e.clientX - rect.left) / rect.width);
+        });
+        this.time = doc.createElement('span');
+        this.time.className = 'track-time';
+        const controls = doc.createElement('div');
+        controls.className = 'track-player-controls';
+        controls.append(this.prevButton, this.playButton, this.nextButton, this.bar, this.time);
+        root.append(this.title, controls);
+
+        audio.addEventListener('timeupdate', () => this._renderProgress());
+        audio.addEventListener('play', () => this._render());
+        audio.addEventListener('pause', () => this._render());
+        audio.addEventListener('ended', () => this.next());
+        audio.addEventListener('error', () => {
+            const entry = queue.current;
+            if (entry) console.error(`[tracks] Could not load "${entry.track.name}" from ${audio.src}`);
+            this._render();
+        });
+    }
+
+    get playing() {
+        return this.queue.current !== null && !this.audio.paused;
+    }
+
+    // Play the queue entry at index from its start
+    playEntry(index) {
+        const entry = this.queue.select(index);
+        if (!entry) return false;
+        this.audio.src = this.resolve(entry.track.audio);
+        this.audio.currentTime = 0;
+        this._play();
+        this._render();
+        return true;
+    }
+
+    // Play an album's track, picked by its number (1-based)
+    playTrack(slug, number) {
+        return this.playEntry(this.queue.indexOf(slug, number));
+    }
+
+    toggle() {
+        if (!this.queue.current) return this.playEntry(0);
+        if (this.audio.paused) this._play();
+        else this.audio.pause();
+        return true;
+    }
+
+    // On to the next track; at the end of the catalog playback stops
+    next() {
+        if (this.queue.index + 1 < this.queue.entries.length) return this.playEntry(this.queue.index + 1);
+        this.audio.pause();
+        this._render();
+        return false;
+    }
+
+    // Back to the start of this track, or to the previous one near its start
+    previous() {
+        if (this.audio.currentTime > RESTART_AFTER || this.queue.index <= 0) {
+            this.audio.currentTime = 0;
+            this._renderProgress();
+            return true;
+        }
+        return this.playEntry(this.queue.index - 1);
+    }
+
+    // Jump to a fraction 0..1 of the current track
+    seek(fraction) {
+        const entry = this.queue.current;
+        if (!entry) return;
+        this.audio.currentTime = Math.max(0, Math.min(1, fraction)) * parseDuration(entry.track.duration);
+        this._renderProgress();
+    }
+
+    _play() {
+        const started = this.audio.play();
+        if (started && started.catch) {
+            started.catch((err) => console.error('[tracks] Playback failed:', err));
+        }
+    }
+
+    _render() {
+        const entry = this.queue.current;
+        this.root.classList.toggle('hidden', !entry);
+        if (entry) {
+            this.title.textContent = `${entry.track.name} — ${entry.album.title}`;
+            this.playButton.textContent = this.audio.paused ? '▶' : '❚❚';
+            this.playButton.setAttribute('aria-label', this.audio.paused ? 'Play' : 'Pause');
+            this.nextButton.disabled = this.queue.index >= this.queue.entries.length - 1;
+        }
+        this._renderProgress();
+        this.onChange(entry);
+    }
+
+    _renderProgress() {
+        const entry = this.queue.current;
+        if (!entry) return;
+        const seconds = this.audio.currentTime;
+        const total = parseDuration(entry.track.duration);
+        const progress = playbackProgress(entry.track, seconds);
+        this.fill.style.width = `${(progress * 100).toFixed(1)}%`;
+        this.bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+        this.time.textContent = `${formatDuration(Math.floor(Math.min(seconds, total)))} / ${formatDuration(total)}`;
+        this.prevButton.disabled = this.queue.index <= 0 && seconds <= RESTART_AFTER;
+    }
+}
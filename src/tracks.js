@@ -0,0 +1,71 @@
+// Track durations and the play queue for the in-page player
+
+// Parse an "mm:ss" duration into seconds
+export function parseDuration(text) {
+    const [m, s] = text.split(':').map(Number);
+    return m * 60 + s;
+}
+
+// Format seconds as "m:ss", or "h:mm:ss" past an hour
+export function formatDuration(seconds) {
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = String(seconds % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Fraction of a track played after the given seconds, measured against its listed duration
+export function playbackProgress(track, seconds) {
+    const total = parseDuration(track.duration);
+    return total > 0 ? Math.min(1, Math.max(0, seconds / total)) : 0;
+}
+
+// Every playable track (one with an audio source) of every album, in catalog order, so playback
+// runs on from the end of one album into the next. Entries are { album, track, number }, and a
+// track is known by its album and number, as two tracks may share an audio source.
+export class TrackQueue {
+    constructor(albums = []) {
+        this.entries = [];
+        this.index = -1; // Current entry, -1 before anything was picked
+        this.setAlbums(albums);
+    }
+
+    // Rebuild from a new catalog, keeping the current track when it is still there
+    setAlbums(albums) {
+        const current = this.current;
+        this.entries = [];
+        albums.forEach((album) => album.tracks.forEach((track, i) => {
+            if (track.audio) this.entries.push({ album, track, number: i + 1 });
+        }));
+        this.index = current ? this.indexOf(current.album.slug, current.number) : -1;
+    }
+
+    get current() {
+        return this.entries[this.index] || null;
+    }
+
+    // Entry index of an album's track by its number (1-based), or -1
+    indexOf(slug, number) {
+        return this.entries.findIndex((entry) => entry.album.slug === slug && entry.number === number);
+    }
+
+    // Whether the album has anything to play
+    hasTracks(slug) {
+        return this.entries.some((entry) => entry.album.slug === slug);
+    }
+
+    select(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        return this.current;
+    }
+
+    // The following entry, or null at the end of the catalog
+    next() {
+        return this.select(this.index + 1);
+    }
+
+    previous() {
+        return this.select(this.index - 1);
+    }
+}
@@ -0,0 +1,14 @@
+// Small 2D vector and number helpers
+
+export function clamp(v, min, max) { return Math.max(min, Math.min(max, v)); }
+
+export class Vec2 {
+    constructor(x = 0, y = 0) { this.x = x; this.y = y; }
+    set(x, y) { this.x = x; this.y = y; return this; }
+    copy(v) { this.x = v.x; this.y = v.y; return this; }
+    add(v) { this.x += v.x; this.y += v.y; return this; }
+    scale(s) { this.x *= s; this.y *= s; return this; }
+    len() { return Math.hypot(this.x, this.y); }
+    normalize() { const l = this.len(); if (l > 0) { this.x /= l; this.y /= l; } return this; }
+    clone() { return new Vec2(this.x, this.y); }
+}
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoundEffects } from '../src/audio.js';
+import { FakeAudioContext } from './fake-audio.js';
+import { memoryStorage } from './fake-storage.js';
+
+function setup(options = {}) {
+    const contexts = [];
+    const sound = new SoundEffects({
+        storage: memoryStorage(),
+        createContext: () => {
+            const ctx = new FakeAudioContext();
+            contexts.push(ctx);
+            return ctx;
+        },
+        ...options
+    });
+    return { sound, contexts };
+}
+
+test('stays silent until a user gesture unlocks it', () => {
+    const { sound, contexts } = setup();
+    sound.scratch(1);
+    sound.chime();
+    sound.orbit(1);
+    assert.equal(contexts.length, 0);
+    sound.unlock();
+    assert.equal(contexts.length, 1);
+    assert.equal(sound.playing, true);
+});
+
+test('the scratch follows the brush intensity', () => {
+    const { sound } = setup();
+    sound.unlock();
+    sound.scratch(1);
+    assert.equal(sound.nodes.scratchGain.gain.target, 0.25);
+    assert.equal(sound.nodes.scratchFilter.frequency.target, 3200);
+    sound.scratch(0);
+    assert.equal(sound.nodes.scratchGain.gain.target, 0);
+});
+
+test('the chime plays three notes', () => {
+    const { sound, contexts } = setup();
+    sound.unlock();
+    sound.chime();
+    assert.equal(contexts[0].oscillators.length, 3);
+});
+
+test('the orbit tone rises with the orbit speed and stops with it', () => {
+    const { sound, contexts } = setup();
+    sound.unlock();
+    sound.orbit(0.5);
+    const low = sound.orbitOsc.frequency.target;
+    sound.orbit(2.5);
+    assert.equal(contexts[0].oscillators.length, 1);
+    assert.ok(sound.orbitOsc.frequency.target > low);
+    const osc = sound.orbitOsc;
+    sound.stopOrbit();
+    assert.equal(osc.stopped, true);
+    assert.equal(sound.orbitOsc, null);
+});
+
+test('muting suspends the context and is remembered', () => {
+    const storage = memoryStorage();
+    const { sound, contexts } = setup({ storage });
+    sound.unlock();
+    assert.equal(sound.toggleMuted(), true);
+    assert.equal(contexts[0].state, 'suspended');
+    assert.equal(storage.items.get('fngrnctr.muted'), '1');
+    sound.chime();
+    assert.equal(contexts[0].oscillators.length, 0);
+
+    assert.equal(setup({ storage }).sound.muted, true);
+    sound.toggleMuted();
+    assert.equal(contexts[0].state, 'running');
+    assert.equal(setup({ storage }).sound.muted, false);
+});
+
+test('a muted visitor never starts the context until unmuting', () => {
+    const { sound, contexts } = setup({ storage: memoryStorage({ 'fngrnctr.muted': '1' }) });
+    sound.unlock();
+    assert.equal(contexts.length, 0);
+    sound.setMuted(false);
+    assert.equal(contexts.length, 1);
+});
+
+test('reduced motion starts muted unless a setting was saved', () => {
+    assert.equal(setup({ reducedMotion: true }).sound.muted, true);
+    assert.equal(setup({ reducedMotion: true, storage: memoryStorage({ 'fngrnctr.muted': '0' }) }).sound.muted, false);
+});
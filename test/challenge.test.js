@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_LEVELS, normalizeLevels, levelScore, ChallengeRun, Leaderboard } from '../src/challenge.js';
+import { FADE_DELAY_MS } from '../src/reink.js';
+import { memoryStorage } from './fake-storage.js';
+
+test('fills in level defaults and skips invalid levels', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const levels = normalizeLevels([
+        { phrase: 'CURSE OF THE|DOOM WIZARD', timeLimit: 20 },
+        { phrase: [] },
+        { phrase: 'RUBY', fadeDelay: -1 },
+        { phrase: ['RUBY '], brush: 'small' }
+    ]);
+    assert.deepEqual(levels.map((level) => level.phrase), [['CURSE OF THE', 'DOOM WIZARD'], ['RUBY']]);
+    assert.equal(levels[0].fadeDelay, FADE_DELAY_MS);
+    assert.deepEqual(levels[1].brush, {});
+    assert.equal(errors.mock.callCount(), 3);
+    assert.equal(normalizeLevels('levels'), DEFAULT_LEVELS);
+    assert.equal(normalizeLevels([{}]), DEFAULT_LEVELS);
+});
+
+test('scores coverage, plus the time left only for a full reveal', () => {
+    const level = { timeLimit: 40 };
+    assert.equal(levelScore(level, { coverage: 1, elapsed: 10, revealed: true }), 1750);
+    assert.equal(levelScore(level, { coverage: 0.6, elapsed: 40, revealed: false }), 600);
+    assert.equal(levelScore(level, { coverage: 1, elapsed: 50, revealed: true }), 1000);
+});
+
+test('a run goes through the levels and totals their scores', () => {
+    const run = new ChallengeRun(normalizeLevels([{ phrase: 'A', timeLimit: 10 }, { phrase: 'B', timeLimit: 20 }]));
+    assert.equal(run.timeLeft(4), 6);
+    assert.equal(run.finishLevel({ coverage: 1, elapsed: 5, revealed: true }).score, 1500);
+    assert.ok(!run.isLastLevel);
+    assert.deepEqual(run.advance().phrase, ['B']);
+    assert.ok(run.isLastLevel);
+    assert.equal(run.timeLeft(25), 0);
+    run.finishLevel({ coverage: 0.5, elapsed: 20, revealed: false });
+    assert.ok(run.finished);
+    assert.equal(run.total, 2000);
+    assert.equal(run.advance(), null);
+});
+
+test('the leaderboard keeps the best runs in order and remembers them', () => {
+    const storage = memoryStorage();
+    const board = new Leaderboard({ storage, size: 3 });
+    assert.equal(board.add({ score: 100 }), 0);
+    assert.equal(board.add({ score: 300 }), 0);
+    assert.equal(board.add({ score: 100 }), 2); // Ties rank below earlier runs
+    assert.equal(board.add({ score: 50 }), -1);
+    assert.equal(board.add({ score: 200 }), 1);
+    assert.deepEqual(board.entries.map((entry) => entry.score), [300, 200, 100]);
+    assert.deepEqual(new Leaderboard({ storage, size: 3 }).entries, board.entries);
+    board.clear();
+    assert.deepEqual(new Leaderboard({ storage }).entries, []);
+});
+
+test('a corrupt or missing store starts an empty board', () => {
+    const storage = memoryStorage();
+    storage.setItem('fngrnctr.leaderboard', '{not json');
+    assert.deepEqual(new Leaderboard({ storage }).entries, []);
+    assert.deepEqual(new Leaderboard().entries, []);
+});
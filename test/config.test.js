@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadConfig, DEFAULT_CONFIG } from '../src/config.js';
+
+test("checks each challenge level's brush like the configured one", (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const config = loadConfig({
+        search: '?challenge',
+        overrides: {
+            brush: { minRadius: 12 },
+            challenge: {
+                levels: [
+                    { phrase: 'RUBY', brush: { baseScale: 0.4 } },
+                    { phrase: 'FILTHY RICH', brush: { baseScale: 'big', maxScale: -1, stops: [[0, 1]] } }
+                ]
+            }
+        }
+    });
+    const [first, second] = config.challenge.levels;
+    assert.equal(first.brush.baseScale, 0.4);
+    assert.equal(first.brush.minRadius, 12);
+    assert.equal(second.brush.baseScale, DEFAULT_CONFIG.brush.baseScale);
+    assert.equal(second.brush.maxScale, DEFAULT_CONFIG.brush.maxScale);
+    assert.equal(second.brush.minRadius, 12);
+    assert.deepEqual(second.brush.stops, DEFAULT_CONFIG.brush.stops);
+    assert.equal(errors.mock.callCount(), 3);
+    assert.match(errors.mock.calls[0].arguments[0], /level 2 brush baseScale/);
+});
+
+test('?redirect stays on this site or an allowed origin', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const origin = 'https://fngrnctr.com';
+    const load = (search, afterReveal) => loadConfig({ search, overrides: { afterReveal }, origin }).afterReveal;
+
+    assert.equal(load('?redirect=/tour/').url, 'https://fngrnctr.com/tour/');
+    assert.equal(load('?redirect=https://fngrnctr.com/shop').url, 'https://fngrnctr.com/shop');
+    assert.equal(load('?redirect=https://shop.example.com/x', { allowedRedirects: ['https://shop.example.com/'] }).url, 'https://shop.example.com/x');
+    assert.equal(errors.mock.callCount(), 0);
+
+    const evil = load('?redirect=https://evil.example/');
+    assert.equal(evil.url, DEFAULT_CONFIG.afterReveal.url);
+    assert.equal(load('?redirect=//evil.example/').url, DEFAULT_CONFIG.afterReveal.url);
+    assert.equal(load('?redirect=javascript:alert(1)').url, DEFAULT_CONFIG.afterReveal.url);
+    assert.equal(errors.mock.callCount(), 3);
+
+    // The embedding page itself may send visitors anywhere
+    assert.equal(load('', { url: 'https://evil.example/' }).url, 'https://evil.example/');
+});
+
+test('?coop joins the localhost relay or an allowed one', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const load = (search, coop) => loadConfig({ search, overrides: { coop } }).coop;
+
+    assert.equal(load('?coop').url, 'ws://localhost:8787');
+    assert.equal(load('?coop=ws://localhost:8787').url, 'ws://localhost:8787/');
+    assert.equal(load('?coop=wss://relay.example.com/x&room=band', { allowedRelays: ['wss://relay.example.com'] }).url, 'wss://relay.example.com/x');
+    assert.equal(errors.mock.callCount(), 0);
+
+    assert.equal(load('?coop=wss://evil.example').url, null);
+    assert.equal(load('?coop=https://relay.example.com', { allowedRelays: ['wss://relay.example.com'] }).url, null);
+    assert.equal(load('?coop=wss://evil.example', { url: 'wss://relay.example.com' }).url, 'wss://relay.example.com');
+    assert.equal(errors.mock.callCount(), 3);
+
+    // The embedding page itself may pick any relay
+    assert.equal(load('', { url: 'wss://anywhere.example' }).url, 'wss://anywhere.example');
+});
+
+test('the phrase, its font and the audio mirror only come from FNGRNCTR_CONFIG', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const crafted = loadConfig({ search: '?phrase=SCAM|HERE&font=Evil&fontUrl=https://evil.example/f.woff2&audioBase=https://evil.example/' });
+    assert.deepEqual(crafted.phrase.lines, DEFAULT_CONFIG.phrase.lines);
+    assert.equal(crafted.phrase.font, DEFAULT_CONFIG.phrase.font);
+    assert.equal(crafted.phrase.fontFace, null);
+    assert.equal(crafted.tracks.audioBase, null);
+    assert.equal(errors.mock.callCount(), 4);
+    assert.match(errors.mock.calls[0].arguments[0], /\?phrase is ignored; set phrase.lines in FNGRNCTR_CONFIG/);
+
+    const page = loadConfig({
+        overrides: { phrase: { lines: ['NEW ALBUM', 'OUT FRIDAY'], fontFace: { family: 'Bebas', src: 'fonts/bebas.woff2' } }, tracks: { audioBase: 'https://mirror.example/a' } }
+    });
+    assert.deepEqual(page.phrase.lines, ['NEW ALBUM', 'OUT FRIDAY']);
+    assert.equal(page.phrase.fontFace.family, 'Bebas');
+    assert.equal(page.tracks.audioBase, 'https://mirror.example/a/');
+    assert.equal(errors.mock.callCount(), 4);
+});
@@ -0,0 +1,129 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CoopSession, PEER_TINTS } from '../src/coop.js';
+
+// Just enough of a WebSocket: records what is sent and lets the test deliver messages
+class FakeSocket {
+    constructor(url) {
+        this.url = url;
+        this.readyState = 1;
+        this.sent = [];
+        FakeSocket.last = this;
+    }
+
+    send(data) {
+        this.sent.push(JSON.parse(data));
+    }
+
+    close() {
+        this.readyState = 3;
+        this.onclose();
+    }
+
+    deliver(message) {
+        this.onmessage({ data: JSON.stringify(message) });
+    }
+}
+
+// A 400 x 200 screen with the phrase set at 100px, centered
+const WIDE = { x: 200, y: 100, unit: 100 };
+
+function setup(frame = WIDE) {
+    const stamps = [];
+    const changes = [];
+    const session = new CoopSession({
+        url: 'ws://localhost:8787',
+        room: 'band',
+        frame: () => frame,
+        WebSocketImpl: FakeSocket,
+        onStamp: (...stamp) => stamps.push(stamp),
+        onChange: (change) => changes.push(change)
+    });
+    session.connect();
+    return { session, socket: FakeSocket.last, stamps, changes };
+}
+
+test('joins the room named in the relay URL and takes its tint', () => {
+    const { session, socket, changes } = setup();
+    assert.equal(socket.url, 'ws://localhost:8787/?room=band');
+    assert.equal(session.connected, false);
+    socket.deliver({ type: 'welcome', id: 3, tint: 1, peers: [{ id: 1, tint: 0 }] });
+    assert.equal(session.tint, PEER_TINTS[1]);
+    assert.equal(session.playerCount, 2);
+    socket.deliver({ type: 'join', id: 4, tint: 2 });
+    socket.deliver({ type: 'leave', id: 1 });
+    assert.deepEqual([...session.peers.keys()], [4]);
+    assert.deepEqual(changes, ['connected', 'joined', 'left']);
+    session.close();
+    assert.deepEqual(changes.at(-1), 'disconnected');
+});
+
+test('sends position and batched stamps relative to the phrase', () => {
+    const { session, socket } = setup();
+    session.stamp(100, 100, 20);
+    socket.deliver({ type: 'welcome', id: 1, tint: 0, peers: [] });
+    session.stamp(100, 100, 20);
+    session.stamp(200, 50, 10, 0.5);
+    session.update(0.01, { x: 200, y: 100 });
+    assert.deepEqual(socket.sent, []); // Not due yet
+    session.update(0.05, { x: 200, y: 100 });
+    assert.deepEqual(socket.sent, [
+        { type: 'move', x: 0, y: 0 },
+        { type: 'stamps', stamps: [[-1, 0, 0.2, 0], [0, -0.5, 0.1, 0.5]] }
+    ]);
+    // Standing still sends nothing more
+    session.update(0.05, { x: 200, y: 100 });
+    assert.equal(socket.sent.length, 2);
+    session.close();
+});
+
+test("applies peers' stamps in px and eases their icons toward them", () => {
+    const { session, socket, stamps } = setup();
+    socket.deliver({ type: 'welcome', id: 1, tint: 0, peers: [{ id: 2, tint: 1 }] });
+    socket.deliver({ type: 'stamps', id: 2, stamps: [[-1, 0, 0.2, 0], ['bad'], [1, 2]] });
+    socket.deliver({ type: 'stamps', id: 9, stamps: [[0, 0, 0.1, 0]] });
+    assert.deepEqual(stamps, [[100, 100, 20, 0]]);
+
+    socket.deliver({ type: 'move', id: 2, x: 0, y: 0 });
+    const peer = session.peers.get(2);
+    assert.deepEqual(peer.pos, { x: 200, y: 100 });
+    socket.deliver({ type: 'move', id: 2, x: 2, y: 0 });
+    session.update(0.05, { x: 0, y: 0 });
+    assert.ok(peer.pos.x > 200 && peer.pos.x < 400);
+    session.close();
+});
+
+test('stamps land on the same letters on screens of different shapes', () => {
+    // A phone held upright sets the phrase smaller, around a center of its own
+    const desktop = setup();
+    const phone = setup({ x: 195, y: 422, unit: 39 });
+    desktop.socket.deliver({ type: 'welcome', id: 1, tint: 0, peers: [{ id: 2, tint: 1 }] });
+    phone.socket.deliver({ type: 'welcome', id: 2, tint: 1, peers: [{ id: 1, tint: 0 }] });
+
+    // A stamp 1.5 font sizes left of the phrase's center on the desktop...
+    desktop.session.stamp(50, 120, 30, 0.2);
+    desktop.session.update(0.05, { x: 50, y: 120 });
+    const [move, batch] = desktop.socket.sent;
+    phone.socket.deliver({ ...batch, id: 1 });
+    phone.socket.deliver({ ...move, id: 1 });
+    // ...is 1.5 of the phone's font sizes left of its center
+    const [[x, y, radius, softness]] = phone.stamps;
+    assert.ok(Math.abs(x - (195 - 1.5 * 39)) < 1e-9);
+    assert.ok(Math.abs(y - (422 + 0.2 * 39)) < 1e-9);
+    assert.ok(Math.abs(radius - 0.3 * 39) < 1e-9);
+    assert.equal(softness, 0.2);
+    assert.deepEqual(phone.session.peers.get(1).pos, { x, y });
+    desktop.session.close();
+    phone.session.close();
+});
+
+test('stops knocking on a full room', (t) => {
+    t.mock.method(console, 'error', () => {});
+    t.mock.timers.enable({ apis: ['setTimeout'] });
+    const { session, socket } = setup();
+    socket.deliver({ type: 'full' });
+    socket.onclose();
+    t.mock.timers.tick(10000);
+    assert.equal(FakeSocket.last, socket);
+    assert.equal(session.connected, false);
+});
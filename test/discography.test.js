@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateDiscography, DISCOGRAPHY_VERSION } from '../src/discography.js';
+import { THEMES } from '../src/theme.js';
+
+const track = (name, extra = {}) => ({ name, url: `https://example.com/${name}`, duration: '3:00', ...extra });
+const album = (slug, extra = {}) => ({
+    slug, title: slug.toUpperCase(), bandcampId: '123', releaseDate: '2020-01-01',
+    url: `https://example.com/${slug}`, artUrl: `${slug}.jpg`, tracks: [track('a')], ...extra
+});
+
+test('the shipped manifest is valid', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const manifest = JSON.parse(readFileSync(new URL('../discography.json', import.meta.url), 'utf8'));
+    const albums = validateDiscography(manifest);
+    assert.equal(albums.length, manifest.albums.length);
+    // Only the albums without a Bandcamp embed are logged
+    errors.mock.calls.forEach((call) => assert.match(call.arguments[0], /missing a Bandcamp ID/));
+});
+
+test('refuses manifests of another shape or version', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    assert.deepEqual(validateDiscography(null), []);
+    assert.deepEqual(validateDiscography({ version: DISCOGRAPHY_VERSION + 1, albums: [album('ruby')] }), []);
+    assert.deepEqual(validateDiscography({ version: DISCOGRAPHY_VERSION }), []);
+    assert.equal(errors.mock.callCount(), 3);
+});
+
+test('drops malformed albums and tracks, keeping the rest', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const albums = validateDiscography({
+        version: DISCOGRAPHY_VERSION,
+        albums: [
+            album('ruby', { tracks: [track('a'), track('b', { duration: '3 min' }), { name: 'c' }, track('d', { audio: 'audio/d.mp3' })] }),
+            album('Bad Slug'),
+            album('ruby'),
+            { title: 'No slug' },
+            album('filthy-rich', { bandcampId: null, releaseDate: '2019-13' })
+        ]
+    });
+    assert.deepEqual(albums.map((entry) => entry.slug), ['ruby', 'filthy-rich']);
+    assert.deepEqual(albums[0].tracks.map((entry) => [entry.name, entry.audio]), [['a', null], ['d', 'audio/d.mp3']]);
+    assert.equal(albums[1].bandcampId, null);
+    // Two bad tracks, the bad slug, the reused slug, the missing fields, the Bandcamp ID and the date
+    assert.equal(errors.mock.callCount(), 7);
+});
+
+test('the release date is optional', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const warnings = t.mock.method(console, 'warn', () => {});
+    const albums = validateDiscography({ version: DISCOGRAPHY_VERSION, albums: [album('ruby', { releaseDate: null }), album('gold')] });
+    assert.deepEqual(albums.map((entry) => entry.releaseDate), [null, '2020-01-01']);
+    assert.equal(errors.mock.callCount() + warnings.mock.callCount(), 0);
+});
+
+test('keeps album themes the page knows', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const themes = { ...THEMES, gig: THEMES.ruby };
+    const albums = validateDiscography({
+        version: DISCOGRAPHY_VERSION,
+        albums: [album('a', { theme: 'gig' }), album('b', { theme: { accent: '#fff' } }), album('c', { theme: 'nope' })]
+    }, themes);
+    assert.deepEqual(albums.map((entry) => entry.theme), ['gig', { accent: '#fff' }, null]);
+    assert.equal(errors.mock.callCount(), 1);
+});
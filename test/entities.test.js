@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player } from '../src/player.js';
+import { InputFrame } from '../src/input.js';
+import { circleRectPush, circlesOverlap, createEntities, Wall, Collectible, World } from '../src/entities.js';
+
+const BOUNDS = { w: 400, h: 200 };
+
+function frame(x = 0, y = 0) {
+    return new InputFrame({ axis: { x, y }, target: null, steering: false, active: x !== 0 || y !== 0, pen: null, extras: [] });
+}
+
+test('pushes a circle out of a rect along the shortest way', () => {
+    const rect = { x: 100, y: 100, w: 50, h: 50 };
+    assert.equal(circleRectPush({ x: 80, y: 125 }, 10, rect), null);
+    assert.deepEqual(circleRectPush({ x: 95, y: 125 }, 10, rect), { x: -5, y: 0 });
+    // Center inside: out through the nearest side
+    assert.deepEqual(circleRectPush({ x: 145, y: 120 }, 10, rect), { x: 15, y: 0 });
+    assert.ok(circlesOverlap({ x: 0, y: 0 }, 5, { x: 8, y: 0 }, 4));
+    assert.ok(!circlesOverlap({ x: 0, y: 0 }, 5, { x: 9, y: 0 }, 4));
+});
+
+test('a wall stops the player and keeps the motion along it', () => {
+    const player = new Player(BOUNDS);
+    const world = new World(player, BOUNDS);
+    world.add(new Wall({ x: 0.6, y: 0, w: 0.1, h: 1 })); // x 240..280
+    player.pos.set(200, 100);
+    for (let i = 0; i < 120; i++) {
+        player.update(1 / 60, frame(1, 0.2));
+        world.update(1 / 60);
+    }
+    assert.ok(player.pos.x <= 240 - player.size / 2 + 1e-9, `player went through the wall to ${player.pos.x}`);
+    assert.ok(player.vel.x <= 0);
+    assert.ok(player.pos.y > 100, 'player should still slide along the wall');
+});
+
+test('walls follow the live bounds', () => {
+    const bounds = { w: 100, h: 100 };
+    const wall = new Wall({ x: 0.5, y: 0.5, w: 0.1, h: 0.2 });
+    assert.deepEqual(wall.rect(bounds), { x: 50, y: 50, w: 10, h: 20 });
+    bounds.w = 200;
+    assert.deepEqual(wall.rect(bounds), { x: 100, y: 50, w: 20, h: 20 });
+});
+
+test('a collectible is picked up once and leaves the world', () => {
+    const player = new Player(BOUNDS);
+    const collected = [];
+    const world = new World(player, BOUNDS, { onCollect: (entity) => collected.push(entity.album) });
+    world.add(new Collectible({ x: 0.75, y: 0.5, album: 'ruby' }));
+    world.update(1 / 60);
+    assert.deepEqual(collected, []);
+    player.pos.set(290, 100);
+    world.update(1 / 60);
+    world.update(1 / 60);
+    assert.deepEqual(collected, ['ruby']);
+    assert.equal(world.entities.length, 0);
+});
+
+test('builds entities from data, skipping invalid entries', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const entities = createEntities([
+        { type: 'wall', x: 0.1, y: 0.1, w: 0.2, h: 0.05 },
+        { type: 'collectible', x: 0.5, y: 0.5, album: 'ruby', radius: 20 },
+        { type: 'wall', x: 2, y: 0, w: 0.1, h: 0.1 },
+        { type: 'collectible', x: 0.5, y: 0.5 },
+        { type: 'teleporter' },
+        null
+    ]);
+    assert.deepEqual(entities.map((entity) => entity.constructor.name), ['Wall', 'Collectible']);
+    assert.equal(entities[1].radius, 20);
+    assert.equal(errors.mock.callCount(), 4);
+    assert.deepEqual(createEntities('walls'), []);
+});
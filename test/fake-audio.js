@@ -0,0 +1,53 @@
+// AudioContext stand-in for the Node tests: nodes only remember what was asked of them
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.target = value; // Last value set, ramped to or aimed at
+    }
+    setValueAtTime(value) { this.target = value; }
+    setTargetAtTime(value) { this.target = value; }
+    exponentialRampToValueAtTime(value) { this.target = value; }
+}
+
+class FakeNode {
+    constructor(type) {
+        this.type = type;
+        this.connections = [];
+    }
+    connect(node) { this.connections.push(node); }
+}
+
+export class FakeAudioContext {
+    constructor() {
+        this.state = 'running';
+        this.currentTime = 0;
+        this.sampleRate = 8000;
+        this.destination = new FakeNode('destination');
+        this.oscillators = [];
+    }
+    suspend() { this.state = 'suspended'; }
+    resume() { this.state = 'running'; }
+    createGain() {
+        return Object.assign(new FakeNode('gain'), { gain: new FakeParam(1) });
+    }
+    createBiquadFilter() {
+        return Object.assign(new FakeNode('filter'), { frequency: new FakeParam(350), Q: new FakeParam(1) });
+    }
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+    createBufferSource() {
+        return Object.assign(new FakeNode('source'), { start() {} });
+    }
+    createOscillator() {
+        const osc = Object.assign(new FakeNode('oscillator'), {
+            frequency: new FakeParam(440),
+            stopped: false,
+            start() {},
+            stop() { this.stopped = true; }
+        });
+        this.oscillators.push(osc);
+        return osc;
+    }
+}
@@ -0,0 +1,58 @@
+// Canvas stand-in for the Node tests. Drawing calls are no-ops except brush stamps (radial gradients),
+// which are recorded; getImageData serves ink alpha from canvas.alpha(x, y) so a test decides what is scratched off.
+export class FakeCanvas {
+    constructor(width = 0, height = 0) {
+        this.width = width;
+        this.height = height;
+        this.alpha = () => 255;
+        this.stamps = []; // { x, y, radius } of every radial gradient created
+        this.reads = 0; // getImageData calls
+        this.drawn = []; // Images passed to drawImage
+        this.context = null;
+    }
+
+    getContext() {
+        return this.context || (this.context = new FakeContext(this));
+    }
+}
+
+class FakeContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.globalAlpha = 1;
+        this.globalCompositeOperation = 'source-over';
+        this.fillStyle = '#000';
+        this.font = '10px sans-serif';
+        this.textAlign = 'start';
+        this.textBaseline = 'alphabetic';
+    }
+
+    setTransform() {}
+    save() {}
+    restore() {}
+    clearRect() {}
+    fillRect() {}
+    beginPath() {}
+    arc() {}
+    fill() {}
+    fillText() {}
+    drawImage(image) { this.canvas.drawn.push(image); }
+    putImageData() {}
+
+    createRadialGradient(x, y, r0, x1, y1, radius) {
+        this.canvas.stamps.push({ x, y, radius });
+        return { addColorStop() {} };
+    }
+
+    // Monospaced: every character is 0.6 of the font size wide
+    measureText(text) {
+        return { width: String(text).length * parseFloat(/(\d+(\.\d+)?)px/.exec(this.font)[1]) * 0.6 };
+    }
+
+    getImageData(x, y, w, h) {
+        this.canvas.reads++;
+        const data = new Uint8ClampedArray(w * h * 4);
+        for (let i = 0; i < w * h; i++) data[i * 4 + 3] = this.canvas.alpha(x + (i % w), y + Math.floor(i / w));
+        return { width: w, height: h, data };
+    }
+}
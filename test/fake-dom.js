@@ -0,0 +1,72 @@
+// Just enough DOM for the Node tests of widgets that build their own elements: elements keep their
+// children, attributes, classes and listeners, and events are fired by hand with dispatch()
+class FakeClassList {
+    constructor() { this.names = new Set(); }
+    add(...names) { names.forEach((name) => this.names.add(name)); }
+    remove(...names) { names.forEach((name) => this.names.delete(name)); }
+    contains(name) { return this.names.has(name); }
+    toggle(name, force = !this.names.has(name)) {
+        if (force) this.names.add(name);
+        else this.names.delete(name);
+        return force;
+    }
+}
+
+export class FakeEventTarget {
+    constructor() { this.listeners = new Map(); }
+    addEventListener(type, listener) {
+        if (!this.listeners.has(type)) this.listeners.set(type, []);
+        this.listeners.get(type).push(listener);
+    }
+    dispatch(type, event = {}) {
+        (this.listeners.get(type) || []).forEach((listener) => listener(event));
+    }
+}
+
+export class FakeElement extends FakeEventTarget {
+    constructor(ownerDocument, tagName) {
+        super();
+        this.ownerDocument = ownerDocument;
+        this.tagName = tagName.toUpperCase();
+        this.children = [];
+        this.attributes = new Map();
+        this.classList = new FakeClassList();
+        this.style = {};
+        this.textContent = '';
+        this.disabled = false;
+        this.rect = { left: 0, top: 0, width: 0, height: 0 }; // What getBoundingClientRect reports
+    }
+    get className() { return [...this.classList.names].join(' '); }
+    set className(value) {
+        this.classList = new FakeClassList();
+        this.classList.add(...String(value).split(/\s+/).filter(Boolean));
+    }
+    setAttribute(name, value) { this.attributes.set(name, String(value)); }
+    getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+    appendChild(child) { this.children.push(child); return child; }
+    append(...children) { children.forEach((child) => this.appendChild(child)); }
+    getBoundingClientRect() { return this.rect; }
+}
+
+export class FakeDocument {
+    createElement(tagName) { return new FakeElement(this, tagName); }
+}
+
+// HTMLAudioElement stand-in: play() and pause() flip paused and fire their events
+export class FakeAudioElement extends FakeEventTarget {
+    constructor() {
+        super();
+        this.src = '';
+        this.currentTime = 0;
+        this.paused = true;
+    }
+    play() {
+        this.paused = false;
+        this.dispatch('play');
+        return Promise.resolve();
+    }
+    pause() {
+        this.paused = true;
+        this.dispatch('pause');
+    }
+}
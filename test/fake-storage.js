@@ -0,0 +1,10 @@
+// localStorage stand-in for the Node tests; items holds what was saved
+export function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key),
+        items
+    };
+}
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeCanvas } from './fake-canvas.js';
+import { InkLayer } from '../src/ink.js';
+
+const STOPS = [[0, 1], [1, 0]];
+
+// Worker stand-in that keeps what the layer posts; answer() replies to the latest fade
+class FakeWorker {
+    constructor() {
+        this.posted = [];
+        this.onmessage = null;
+    }
+
+    postMessage(message) { this.posted.push(message); }
+    terminate() {}
+
+    fades() { return this.posted.filter((message) => message.type === 'fade'); }
+
+    answer(bitmap = { close() { this.closed = true; } }) {
+        const { id } = this.fades().at(-1);
+        this.onmessage({ data: { id, bitmap } });
+        return bitmap;
+    }
+}
+
+function setup(t) {
+    globalThis.OffscreenCanvas = class {};
+    t.after(() => { delete globalThis.OffscreenCanvas; });
+    const size = { w: 100, h: 50, dpr: 1 };
+    const canvas = new FakeCanvas();
+    const worker = new FakeWorker();
+    const ink = new InkLayer(canvas, size, () => worker);
+    ink.resize();
+    ink.ages.resize(size.w, size.h);
+    return { canvas, worker, ink };
+}
+
+test('the worker fades its own copy; the page only draws the result', (t) => {
+    const { canvas, worker, ink } = setup(t);
+    ink.fade(0.1, 5000);
+    assert.deepEqual(worker.posted.map((message) => message.type), ['sync', 'fade']);
+    assert.equal(canvas.reads, 1); // The one full copy after the resize
+
+    const bitmap = worker.answer();
+    assert.equal(canvas.drawn.at(-1), bitmap);
+    assert.ok(bitmap.closed);
+
+    ink.erase(10, 10, 5, STOPS, 0, 5100);
+    ink.fade(0.1, 5200);
+    worker.answer();
+    ink.fade(0.1, 5300);
+    assert.equal(canvas.reads, 1);
+    assert.deepEqual(worker.posted.slice(2).map((message) => message.type), ['op', 'fade', 'fade']);
+    assert.deepEqual(worker.posted[2].op, { type: 'erase', x: 10, y: 10, radius: 5, stops: STOPS, softness: 0, now: 5100 });
+});
+
+test('changes made during a pass are drawn again over its result', (t) => {
+    const { canvas, worker, ink } = setup(t);
+    ink.fade(0.1, 5000);
+    ink.erase(10, 10, 5, STOPS, 0, 5050);
+    assert.equal(canvas.stamps.length, 1);
+    worker.answer();
+    assert.equal(canvas.stamps.length, 2);
+
+    // Only once
+    ink.fade(0.1, 5100);
+    worker.answer();
+    assert.equal(canvas.stamps.length, 2);
+});
+
+test('a pass over ink replaced meanwhile is dropped and its time still owed', (t) => {
+    const { canvas, worker, ink } = setup(t);
+    ink.fade(0.1, 5000);
+    ink.fade(0.05, 5050); // While the pass is in flight
+    assert.ok(Math.abs(ink.owedDt - 0.05) < 1e-9);
+
+    ink.resize();
+    const drawn = canvas.drawn.length;
+    worker.answer();
+    assert.equal(canvas.drawn.length, drawn);
+    assert.ok(Math.abs(ink.owedDt - 0.15) < 1e-9);
+
+    // The next pass sends the new ink and the owed time
+    ink.fade(0, 5100);
+    assert.equal(worker.posted.at(-2).type, 'sync');
+    assert.ok(Math.abs(worker.fades().at(-1).dt - 0.15) < 1e-9);
+});
+
+test('fade time past the cap of one pass carries over to the next', (t) => {
+    const { worker, ink } = setup(t);
+    ink.fade(0.6, 5000); // e.g. after a stall
+    assert.equal(worker.fades().at(-1).dt, 0.25);
+    worker.answer();
+    ink.fade(0, 5000);
+    assert.equal(worker.fades().at(-1).dt, 0.25);
+    worker.answer();
+    ink.fade(0, 5000);
+    assert.ok(Math.abs(worker.fades().at(-1).dt - 0.1) < 1e-9);
+    assert.ok(Math.abs(ink.owedDt) < 1e-9);
+});
@@ -0,0 +1,161 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Input, InputFrame } from '../src/input.js';
+import { FakeEventTarget } from './fake-dom.js';
+
+// The game canvas: pointer events fired by hand, with pointer capture ignored
+class FakeSurface extends FakeEventTarget {
+    setPointerCapture() {}
+}
+
+function setup() {
+    const surface = new FakeSurface();
+    const keys = new FakeEventTarget();
+    let pads = [];
+    const input = new Input(surface, { keyTarget: keys, getGamepads: () => pads });
+    const event = (props) => ({ preventDefault() { this.defaultPrevented = true; }, ...props });
+    const key = (type, code, props = {}) => {
+        const e = event({ code, ...props });
+        keys.dispatch(type, e);
+        return e;
+    };
+    const pointer = (type, pointerId, x, y, props = {}) => surface.dispatch(type, event({ pointerId, clientX: x, clientY: y, pointerType: 'touch', ...props }));
+    return { input, key, pointer, setPads: (list) => { pads = list; } };
+}
+
+const pad = ({ axes = [0, 0], pressed = [] } = {}) => ({
+    connected: true,
+    axes,
+    buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: pressed.includes(i) }))
+});
+
+test('arrow and WASD keys steer, diagonals at full speed', () => {
+    const { input, key } = setup();
+    assert.ok(key('keydown', 'ArrowRight').defaultPrevented);
+    key('keydown', 'KeyS');
+    const axis = input.getAxis();
+    assert.ok(Math.abs(axis.x - Math.SQRT1_2) < 1e-9 && Math.abs(axis.y - Math.SQRT1_2) < 1e-9);
+    assert.ok(input.isSteering());
+    key('keyup', 'ArrowRight');
+    key('keyup', 'KeyS');
+    assert.deepEqual({ ...input.getAxis() }, { x: 0, y: 0 });
+    assert.ok(!input.isActive());
+});
+
+test('action keys fire once per press and only block the default when handled', () => {
+    const { input, key } = setup();
+    let helps = 0;
+    input.onAction('help', () => { helps++; });
+    input.onAction('mute', () => false);
+    assert.ok(key('keydown', 'KeyH').defaultPrevented);
+    key('keydown', 'KeyH', { repeat: true });
+    assert.equal(helps, 1);
+    assert.ok(!key('keydown', 'KeyM').defaultPrevented);
+    assert.ok(!key('keydown', 'KeyL').defaultPrevented); // Nobody listening
+});
+
+test('Space and the arrows keep their meaning on buttons, links and form fields', () => {
+    const { input, key } = setup();
+    const lefts = [];
+    input.onAction('left', () => lefts.push('left'));
+    const button = { tagName: 'BUTTON' }, link = { tagName: 'A' }, field = { tagName: 'INPUT' };
+    assert.ok(!key('keydown', 'Space', { target: button }).defaultPrevented);
+    assert.ok(!key('keydown', 'ArrowUp', { target: link }).defaultPrevented);
+    assert.ok(!input.isSteering());
+    // The arrows still move between albums (links) when that is handled
+    assert.ok(key('keydown', 'ArrowLeft', { target: link }).defaultPrevented);
+    assert.equal(lefts.length, 1);
+    assert.ok(!input.isSteering());
+    // Letters still steer from a button, but fields keep every key
+    key('keydown', 'KeyD', { target: button });
+    assert.ok(input.isSteering());
+    key('keyup', 'KeyD');
+    assert.ok(!key('keydown', 'ArrowLeft', { target: field }).defaultPrevented);
+    assert.ok(!key('keydown', 'KeyD', { target: field }).defaultPrevented);
+    assert.equal(lefts.length, 1);
+    assert.ok(!input.isSteering());
+});
+
+test('keys held with Ctrl, Cmd or Alt are left to the browser', () => {
+    const { input, key } = setup();
+    let huds = 0;
+    input.onAction('hud', () => { huds++; });
+    assert.ok(!key('keydown', 'KeyP', { ctrlKey: true }).defaultPrevented);
+    assert.ok(!key('keydown', 'KeyP', { metaKey: true }).defaultPrevented);
+    assert.ok(!key('keydown', 'KeyP', { altKey: true }).defaultPrevented);
+    assert.equal(huds, 0);
+    assert.ok(key('keydown', 'KeyP', { shiftKey: true }).defaultPrevented);
+    assert.equal(huds, 1);
+});
+
+test('the gamepad stick steers past its dead zone and the d-pad overrides it', () => {
+    const { input, setPads } = setup();
+    setPads([null, pad({ axes: [0.1, 0.1] })]);
+    input.pollGamepad();
+    assert.deepEqual({ ...input.getAxis() }, { x: 0, y: 0 });
+    setPads([pad({ axes: [0.6, 0], pressed: [12] })]);
+    input.pollGamepad();
+    const axis = input.getAxis();
+    assert.ok(Math.abs(axis.len() - 1) < 1e-9 && axis.y < 0 && axis.x > 0);
+    setPads([]);
+    input.pollGamepad();
+    assert.ok(!input.isSteering());
+});
+
+test('gamepad buttons and a pushed stick fire their action once per press', () => {
+    const { input, setPads } = setup();
+    const fired = [];
+    ['select', 'back', 'right'].forEach((name) => input.onAction(name, () => fired.push(name)));
+    setPads([pad({ pressed: [0] })]);
+    input.pollGamepad();
+    input.pollGamepad(); // Still held
+    setPads([pad({ axes: [0.9, 0], pressed: [1] })]);
+    input.pollGamepad();
+    setPads([pad()]);
+    input.pollGamepad();
+    setPads([pad({ pressed: [0] })]);
+    input.pollGamepad();
+    assert.deepEqual(fired, ['select', 'back', 'right', 'select']);
+});
+
+test('the first pointer steers; further touches erase along their own trails', () => {
+    const { input, pointer } = setup();
+    pointer('pointerdown', 1, 10, 10);
+    pointer('pointermove', 1, 20, 10);
+    assert.deepEqual({ ...input.getPointerTarget() }, { x: 20, y: 10 });
+    assert.deepEqual(input.primaryPointer().trail, []); // The player's brush follows the player
+
+    pointer('pointerdown', 2, 50, 50);
+    pointer('pointermove', 2, 60, 50, {
+        getCoalescedEvents: () => [{ clientX: 55, clientY: 50 }, { clientX: 60, clientY: 50 }]
+    });
+    pointer('pointermove', 3, 0, 0); // Never went down
+    const frame = input.sample();
+    assert.ok(frame instanceof InputFrame);
+    assert.ok(frame.isSteering() && frame.isActive());
+    assert.deepEqual(frame.extraPointers(), [{
+        id: 2, pos: { x: 60, y: 50 }, trail: [{ x: 50, y: 50 }, { x: 55, y: 50 }, { x: 60, y: 50 }], pressure: null, tilt: 0
+    }]);
+
+    // Sampling hands the trails over
+    assert.deepEqual(input.sample().extraPointers()[0].trail, []);
+
+    // Lifting the steering finger leaves the other one erasing, without steering
+    pointer('pointerup', 1, 20, 10);
+    const after = input.sample();
+    assert.equal(after.getPointerTarget(), null);
+    assert.ok(!after.isSteering() && after.isActive());
+    pointer('pointercancel', 2, 60, 50);
+    assert.ok(!input.isActive());
+});
+
+test('a pen reports pressure and tilt, and frames survive a JSON round trip', () => {
+    const { input, pointer } = setup();
+    pointer('pointerdown', 7, 10, 10, { pointerType: 'pen', pressure: 0.8, tiltX: 45, tiltY: 0 });
+    const frame = input.sample();
+    assert.deepEqual(frame.primaryPointer(), { pressure: 0.8, tilt: 0.5 });
+    const copy = new InputFrame(JSON.parse(JSON.stringify(frame.data)));
+    assert.deepEqual({ ...copy.getPointerTarget() }, { x: 10, y: 10 });
+    assert.deepEqual(copy.primaryPointer(), frame.primaryPointer());
+    assert.equal(copy.isSteering(), true);
+});
@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PhaseMachine, PHASE_EVENT } from '../src/phases.js';
+
+test('runs exit hooks, then enter hooks with the detail and previous phase', () => {
+    const phases = new PhaseMachine();
+    const calls = [];
+    phases.on('idle-hint', { exit: (next) => calls.push(['exit idle-hint', next]) });
+    phases.on('scratching', { enter: (detail, previous) => calls.push(['enter scratching', detail, previous]) });
+    assert.equal(phases.go('scratching', { at: 1 }), true);
+    assert.deepEqual(calls, [['exit idle-hint', 'scratching'], ['enter scratching', { at: 1 }, 'idle-hint']]);
+    assert.ok(phases.is('scratching'));
+});
+
+test('dispatches a CustomEvent on the target for every transition', () => {
+    const target = new EventTarget();
+    const phases = new PhaseMachine({ target });
+    const events = [];
+    target.addEventListener(PHASE_EVENT, (e) => events.push(e.detail));
+    phases.go('scratching');
+    phases.go('revealed-fade', { revealMs: 1234 });
+    assert.deepEqual(events, [
+        { phase: 'scratching', previous: 'idle-hint' },
+        { phase: 'revealed-fade', previous: 'scratching', revealMs: 1234 }
+    ]);
+});
+
+test('follows the reveal order and refuses to skip steps', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const phases = new PhaseMachine();
+    assert.equal(phases.go('orbit'), false);
+    assert.ok(phases.is('idle-hint'));
+    ['scratching', 'revealed-fade', 'text-rise', 'orbit', 'exit'].forEach((phase) => assert.equal(phases.go(phase), true));
+    assert.equal(phases.go('scratching'), false);
+    assert.equal(console.error.mock.calls.length, 2);
+});
+
+test('the album views can be reached from any phase', () => {
+    ['idle-hint', 'scratching', 'text-rise', 'orbit', 'exit'].forEach((initial) => {
+        const phases = new PhaseMachine({ initial });
+        assert.equal(phases.go('album-focus', { album: 'ruby' }), true);
+        assert.equal(phases.settled, true);
+    });
+});
+
+test('switches between the grid and focused albums', (t) => {
+    t.mock.method(console, 'error', () => {});
+    const phases = new PhaseMachine({ initial: 'album-grid' });
+    const entered = [];
+    phases.on('album-focus', { enter: ({ album }) => entered.push(album) });
+    phases.go('album-focus', { album: 'ruby' });
+    phases.go('album-focus', { album: 'filthy-rich' });
+    assert.deepEqual(entered, ['ruby', 'filthy-rich']);
+    assert.equal(phases.go('album-grid'), true);
+    assert.equal(phases.go('album-grid'), false);
+});
+
+test('revealed and settled summarize the phase', () => {
+    const phases = new PhaseMachine();
+    assert.equal(phases.revealed, false);
+    phases.go('scratching');
+    assert.equal(phases.revealed, false);
+    phases.go('revealed-fade');
+    assert.equal(phases.revealed, true);
+    assert.equal(phases.settled, false);
+});
+
+test('a cleared challenge level goes back to the hint without counting as revealed', () => {
+    const phases = new PhaseMachine();
+    phases.go('scratching');
+    assert.equal(phases.go('level-clear'), true);
+    assert.equal(phases.revealed, false);
+    assert.equal(phases.go('idle-hint'), true);
+});
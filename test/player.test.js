@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Player } from '../src/player.js';
+import { InputFrame } from '../src/input.js';
+
+const idle = new InputFrame({ axis: { x: 0, y: 0 }, target: null, steering: false, active: false, pen: null, extras: [] });
+
+test('starts in the middle of its bounds', () => {
+    const player = new Player({ w: 300, h: 200 });
+    assert.deepEqual([player.pos.x, player.pos.y], [150, 100]);
+});
+
+test('stops at the right edge and bounces back with damped velocity', () => {
+    const player = new Player({ w: 100, h: 100 });
+    player.pos.set(90, 50);
+    player.vel.set(400, 0);
+    player.update(0.1, idle);
+    const half = player.size / 2;
+    assert.equal(player.pos.x, 100 - half);
+    assert.ok(Math.abs(player.vel.x - -0.3 * 400 * Math.exp(-player.drag * 0.1)) < 1e-9);
+});
+
+test('stops at the top edge and bounces back down', () => {
+    const player = new Player({ w: 100, h: 100 });
+    player.pos.set(50, 25);
+    player.vel.set(0, -300);
+    player.update(0.1, idle);
+    assert.equal(player.pos.y, player.size / 2);
+    assert.ok(player.vel.y > 0);
+});
+
+test('follows the live bounds after they change', () => {
+    const bounds = { w: 100, h: 100 };
+    const player = new Player(bounds);
+    bounds.w = 60;
+    player.update(1 / 60, idle);
+    assert.equal(player.pos.x, 60 - player.size / 2);
+});
+
+test('keeps its velocity away from an edge it rests against', () => {
+    const player = new Player({ w: 100, h: 100 });
+    player.pos.set(player.size / 2, 50);
+    player.vel.set(200, 0);
+    player.update(1 / 60, idle);
+    assert.ok(player.vel.x > 0);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Progress } from '../src/progress.js';
+import { memoryStorage } from './fake-storage.js';
+
+test('a first visit has no progress', () => {
+    assert.deepEqual(new Progress({ storage: memoryStorage() }).load(),
+        { completions: 0, lastRevealMs: null, bestRevealMs: null, lastCompletedAt: null });
+    // Corrupt or missing storage reads as a first visit too
+    assert.equal(new Progress({ storage: memoryStorage({ 'fngrnctr.progress': '{oops' }) }).load().completions, 0);
+    assert.equal(new Progress().load().completions, 0);
+});
+
+test('counts completions and keeps the best time', () => {
+    const storage = memoryStorage();
+    const progress = new Progress({ storage });
+    progress.recordCompletion(12345.6, new Date('2026-01-02T03:04:05Z'));
+    progress.recordCompletion(20000, new Date('2026-01-03T00:00:00Z'));
+    progress.recordCompletion(9000.2, new Date('2026-01-04T00:00:00Z'));
+    // Saved, so a later visit reads it back
+    assert.deepEqual(new Progress({ storage }).load(), {
+        completions: 3, lastRevealMs: 9000, bestRevealMs: 9000, lastCompletedAt: '2026-01-04T00:00:00.000Z'
+    });
+    progress.recordCompletion(15000);
+    assert.equal(progress.load().bestRevealMs, 9000);
+    assert.equal(progress.load().lastRevealMs, 15000);
+});
+
+test('clearing forgets the progress and the keys saved alongside it', () => {
+    const storage = memoryStorage({ 'fngrnctr.unlocked': '["ruby"]', 'fngrnctr.theme': 'light' });
+    const progress = new Progress({ storage, alsoClears: ['fngrnctr.unlocked'] });
+    progress.recordCompletion(5000);
+    progress.clear();
+    assert.equal(progress.load().completions, 0);
+    assert.deepEqual([...storage.items.keys()], ['fngrnctr.theme']);
+});
+
+test('storage that throws is logged, not fatal', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const broken = { getItem() { throw new Error('denied'); }, setItem() { throw new Error('denied'); }, removeItem() { throw new Error('denied'); } };
+    const progress = new Progress({ storage: broken });
+    assert.equal(progress.load().completions, 0);
+    progress.recordCompletion(5000);
+    progress.clear();
+    assert.equal(errors.mock.callCount(), 2);
+});
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { fadePass, FADE_DELAY_MS, FADE_DURATION_MS } from '../src/reink.js';
+
+// One erased pixel in a one-cell age grid, revealed at time 1
+function erased() {
+    return { ink: new Uint8ClampedArray([0, 0, 0, 0]), ages: new Float64Array([1]) };
+}
+
+test('ink stays clear through the delay, then fades back in', () => {
+    const { ink, ages } = erased();
+    assert.equal(fadePass(ink, 1, ages, 1, 1, 1 + FADE_DELAY_MS - 1, 0.1), false);
+    assert.equal(ink[3], 0);
+    assert.equal(fadePass(ink, 1, ages, 1, 1, 1 + FADE_DELAY_MS + FADE_DURATION_MS, 0.1), true);
+    assert.ok(ink[3] > 0);
+});
+
+test('the ink fades back in its own color', () => {
+    const { ink, ages } = erased();
+    fadePass(ink, 1, ages, 1, 1, 1 + 2000, 0.1, 1000, 1000, [42, 6, 18]);
+    assert.deepEqual([...ink.slice(0, 3)], [42, 6, 18]);
+});
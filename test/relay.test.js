@@ -0,0 +1,105 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { connect } from 'node:net';
+import { once } from 'node:events';
+import { acceptKey, encodeFrame, decodeFrames, Rooms, createRelay } from '../relay.js';
+
+// A frame as a browser sends it: masked
+function clientFrame(text) {
+    const mask = Buffer.from([1, 2, 3, 4]);
+    const data = Buffer.from(text);
+    const header = data.length < 126 ? Buffer.from([0x81, 0x80 | data.length]) : Buffer.from([0x81, 0x80 | 126, data.length >> 8, data.length & 0xff]);
+    return Buffer.concat([header, mask, data.map((byte, i) => byte ^ mask[i % 4])]);
+}
+
+function fakeClient() {
+    return { sent: [], closed: null, send(message) { this.sent.push(message); }, close(code) { this.closed = code; } };
+}
+
+test('computes the handshake accept key from the RFC example', () => {
+    assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+});
+
+test('decodes masked frames, across lengths and partial buffers', () => {
+    const long = 'x'.repeat(300);
+    const buffer = Buffer.concat([clientFrame('{"a":1}'), clientFrame(long)]);
+    const partial = decodeFrames(buffer.subarray(0, buffer.length - 10));
+    assert.deepEqual(partial.frames.map((frame) => frame.payload.toString()), ['{"a":1}']);
+    const { frames, rest } = decodeFrames(buffer);
+    assert.equal(frames[1].payload.toString(), long);
+    assert.ok(frames.every((frame) => frame.fin && frame.masked && frame.opcode === 1));
+    assert.equal(rest.length, 0);
+    assert.equal(decodeFrames(encodeFrame(long)).frames[0].payload.toString(), long);
+    assert.throws(() => decodeFrames(clientFrame(long), 100), /over the 100 byte limit/);
+});
+
+test('rooms hand out distinct tints and relay only to the rest of the room', () => {
+    const rooms = new Rooms({ size: 2 });
+    const a = fakeClient(), b = fakeClient(), c = fakeClient(), other = fakeClient();
+    assert.deepEqual(rooms.join('band', a), { id: 1, tint: 0 });
+    assert.deepEqual(rooms.join('band', b), { id: 2, tint: 1 });
+    rooms.join('elsewhere', other);
+    assert.deepEqual(a.sent[1], { type: 'join', id: 2, tint: 1 });
+    assert.deepEqual(b.sent[0], { type: 'welcome', id: 2, tint: 1, peers: [{ id: 1, tint: 0 }] });
+
+    rooms.relay(a, { type: 'move', x: 0.5, y: 0.5 });
+    rooms.relay(a, { type: 'welcome', id: 9 });
+    assert.deepEqual(b.sent.at(-1), { type: 'move', x: 0.5, y: 0.5, id: 1 });
+    assert.equal(a.sent.length, 2);
+    assert.equal(other.sent.length, 1);
+
+    assert.equal(rooms.join('band', c), null);
+    assert.equal(c.closed, 1013);
+    rooms.leave(a);
+    assert.deepEqual(b.sent.at(-1), { type: 'leave', id: 1 });
+    // The freed tint goes to the next visitor
+    assert.equal(rooms.join('band', c).tint, 0);
+});
+
+test('relays messages between WebSocket clients', async (t) => {
+    const relay = createRelay();
+    relay.listen(0);
+    await once(relay, 'listening');
+    t.after(() => relay.close());
+
+    async function open(room) {
+        const socket = connect(relay.address().port, '127.0.0.1');
+        const messages = [];
+        let buffer = Buffer.alloc(0);
+        let handshaken = false;
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            if (!handshaken) {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end === -1) return;
+                assert.match(buffer.subarray(0, end).toString(), /^HTTP\/1\.1 101/);
+                buffer = buffer.subarray(end + 4);
+                handshaken = true;
+            }
+            const { frames, rest } = decodeFrames(buffer);
+            buffer = rest;
+            frames.forEach((frame) => messages.push(JSON.parse(frame.payload)));
+        });
+        await once(socket, 'connect');
+        socket.write(`GET /?room=${room} HTTP/1.1\r\nHost: localhost\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n` +
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n\r\n');
+        t.after(() => socket.destroy());
+        return { socket, messages };
+    }
+    const until = async (check) => {
+        for (let i = 0; i < 100 && !check(); i++) await new Promise((resolve) => setTimeout(resolve, 10));
+        assert.ok(check());
+    };
+
+    const a = await open('band');
+    await until(() => a.messages.length === 1);
+    const b = await open('band');
+    await until(() => b.messages.length === 1 && a.messages.length === 2);
+    assert.equal(b.messages[0].type, 'welcome');
+    b.socket.write(clientFrame(JSON.stringify({ type: 'stamps', stamps: [[0.1, 0.2, 0.05, 0]] })));
+    await until(() => a.messages.length === 3);
+    assert.deepEqual(a.messages[2], { type: 'stamps', stamps: [[0.1, 0.2, 0.05, 0]], id: b.messages[0].id });
+    b.socket.destroy();
+    await until(() => a.messages.length === 4);
+    assert.deepEqual(a.messages[3], { type: 'leave', id: b.messages[0].id });
+});
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRoute, routeHash } from '../src/routes.js';
+
+test('parses the grid and focused album routes', () => {
+    assert.deepEqual(parseRoute('#/albums'), { slug: null });
+    assert.deepEqual(parseRoute('#/albums/'), { slug: null });
+    assert.deepEqual(parseRoute('#/album/filthy-rich'), { slug: 'filthy-rich' });
+    assert.deepEqual(parseRoute('#/album/filthy-rich/'), { slug: 'filthy-rich' });
+});
+
+test('anything else names no view', () => {
+    ['', '#', '#/', '#/album/', '#/album/Filthy Rich', '#/album/a/b', '#/albumsx', '#top', '/album/ruby'].forEach((hash) => {
+        assert.equal(parseRoute(hash), null, hash);
+    });
+});
+
+test('hashes round-trip through the parser', () => {
+    assert.equal(routeHash(null), '#/albums');
+    assert.equal(routeHash('ruby'), '#/album/ruby');
+    assert.deepEqual(parseRoute(routeHash('mega-bone-slam-fest')), { slug: 'mega-bone-slam-fest' });
+    assert.deepEqual(parseRoute(routeHash(null)), { slug: null });
+});
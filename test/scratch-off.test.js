@@ -0,0 +1,235 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeCanvas } from './fake-canvas.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { InputFrame } from '../src/input.js';
+import { InkLayer } from '../src/ink.js';
+import { PhaseMachine } from '../src/phases.js';
+import { Player } from '../src/player.js';
+import { ScratchOff, SIM_STEP, JIGGLE_DELAY, REVEAL_THRESHOLD } from '../src/scratch-off.js';
+
+// A 100 pixel single-letter mask along the top row of the ink, so scratching n pixels reveals n%
+const MASK = {
+    x: 0, y: 0, w: 100, h: 1,
+    indices: Uint32Array.from({ length: 100 }, (_, i) => i),
+    letterOf: new Uint16Array(100),
+    letters: [{ char: 'A', count: 100 }]
+};
+
+function frame({ axis = { x: 0, y: 0 }, active = false } = {}) {
+    return new InputFrame({ axis, target: null, steering: active, active, pen: null, extras: [] });
+}
+
+function setup({ reducedMotion = false, revealPhase } = {}) {
+    const size = { w: 200, h: 120, dpr: 1 };
+    const canvas = new FakeCanvas();
+    const ink = new InkLayer(canvas, size);
+    ink.resize();
+    ink.ages.resize(size.w, size.h);
+    const phases = new PhaseMachine();
+    const reveals = [];
+    const shared = []; // Stamps passed on to co-op peers
+    phases.on('revealed-fade', { enter: ({ revealMs }) => reveals.push(revealMs) });
+    const scratch = new ScratchOff({
+        player: new Player(size),
+        ink,
+        phases,
+        size,
+        brush: DEFAULT_CONFIG.brush,
+        getMask: () => MASK,
+        reducedMotion,
+        revealPhase,
+        onStamp: (...stamp) => shared.push(stamp)
+    });
+    return { canvas, phases, scratch, reveals, shared };
+}
+
+// Scratch off the first n pixels of the top row
+const scratched = (n) => (x, y) => (y === 0 && x < n ? 0 : 255);
+
+test('starts jiggling after sitting idle for JIGGLE_DELAY', () => {
+    const { canvas, scratch, shared } = setup();
+    while (!scratch.jiggleActive) {
+        scratch.step(SIM_STEP, frame());
+        assert.ok(scratch.time <= JIGGLE_DELAY + 2 * SIM_STEP, 'jiggle never started');
+    }
+    assert.ok(scratch.time >= JIGGLE_DELAY - SIM_STEP);
+    assert.ok(scratch.phases.is('idle-hint'));
+    assert.ok(scratch.isJiggling());
+
+    // The hint moves the player and erases under it, but only on this screen
+    const start = scratch.player.pos.clone();
+    for (let i = 0; i < 10; i++) scratch.step(SIM_STEP, frame());
+    assert.notDeepEqual(scratch.player.pos, start);
+    assert.ok(canvas.stamps.length > 0);
+    assert.equal(shared.length, 0);
+
+    // Real strokes are shared
+    for (let i = 0; i < 3; i++) scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    assert.ok(shared.length > 0);
+});
+
+test('never jiggles under reduced motion', () => {
+    const { canvas, scratch } = setup({ reducedMotion: true });
+    const start = scratch.player.pos.clone();
+    for (let t = 0; t < JIGGLE_DELAY * 3; t += SIM_STEP) scratch.step(SIM_STEP, frame());
+    assert.ok(!scratch.jiggleActive);
+    assert.deepEqual(scratch.player.pos, start);
+    assert.equal(canvas.stamps.length, 0);
+});
+
+test('the first jiggle lasts a second, then waits for the delay again', () => {
+    const { scratch } = setup();
+    while (!scratch.jiggleActive) scratch.step(SIM_STEP, frame());
+    const started = scratch.time;
+    while (scratch.jiggleActive) scratch.step(SIM_STEP, frame());
+    assert.ok(Math.abs(scratch.time - started - 1) < 2 * SIM_STEP);
+    assert.equal(scratch.jiggleCycleCount, 1);
+});
+
+test('interacting stops the jiggle and starts the reveal clock', () => {
+    const { phases, scratch } = setup();
+    while (!scratch.jiggleActive) scratch.step(SIM_STEP, frame());
+    scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    assert.ok(phases.is('scratching'));
+    assert.equal(scratch.jiggleActive, false);
+    assert.equal(scratch.jiggleCycleCount, 0);
+    assert.equal(scratch.revealStartedAt, scratch.time);
+
+    // Once interacted, idling never brings the hint back
+    for (let i = 0; i < (JIGGLE_DELAY + 1) / SIM_STEP; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(scratch.isJiggling(), false);
+});
+
+test('the text counts as revealed at the threshold, not before', () => {
+    const { canvas, phases, scratch, reveals } = setup();
+    const moving = frame({ axis: { x: 1, y: 0 }, active: true });
+
+    canvas.alpha = scratched(Math.round(REVEAL_THRESHOLD * 100) - 1);
+    for (let i = 0; i < 20; i++) scratch.step(SIM_STEP, moving);
+    assert.ok(phases.is('scratching'));
+    assert.equal(scratch.stats.total, 0.94);
+    assert.deepEqual(reveals, []);
+
+    canvas.alpha = scratched(Math.round(REVEAL_THRESHOLD * 100));
+    for (let i = 0; i < 5; i++) scratch.step(SIM_STEP, moving);
+    assert.ok(phases.is('revealed-fade'));
+    assert.equal(scratch.stats.total, 0.95);
+    assert.equal(reveals.length, 1);
+    assert.ok(Math.abs(reveals[0] - (scratch.time - scratch.revealStartedAt) * 1000) < 1e-6);
+
+    // Revealed is final: no more measuring, erasing or callbacks
+    const stamps = canvas.stamps.length;
+    for (let i = 0; i < 20; i++) scratch.step(SIM_STEP, moving);
+    assert.equal(reveals.length, 1);
+    assert.equal(canvas.stamps.length, stamps);
+});
+
+test('a challenge level ends in its own phase and restarts from the hint', () => {
+    const { canvas, phases, scratch, reveals } = setup({ revealPhase: () => 'level-clear' });
+    const moving = frame({ axis: { x: 1, y: 0 }, active: true });
+    canvas.alpha = scratched(100);
+    for (let i = 0; i < 5; i++) scratch.step(SIM_STEP, moving);
+    assert.ok(phases.is('level-clear'));
+    assert.deepEqual(reveals, []);
+
+    scratch.restart();
+    phases.go('idle-hint');
+    assert.equal(scratch.stats.total, 0);
+    canvas.alpha = scratched(0);
+    scratch.step(SIM_STEP, moving);
+    assert.ok(phases.is('scratching'));
+    assert.equal(scratch.revealStartedAt, scratch.time);
+});
+
+test('skipping ahead from the hint stops the jiggle', () => {
+    const { phases, scratch } = setup();
+    while (!scratch.jiggleActive) scratch.step(SIM_STEP, frame());
+    phases.go('album-grid');
+    assert.equal(scratch.isJiggling(), false);
+    const pos = scratch.player.pos.clone();
+    scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    assert.deepEqual(scratch.player.pos, pos); // No steering once revealed
+});
+
+test('idle steps only measure while measureIdle allows it', () => {
+    const { canvas, scratch } = setup();
+    scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    canvas.alpha = scratched(50);
+    for (let i = 0; i < 30; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(scratch.stats.total, 0);
+
+    scratch.measureIdle = () => true;
+    for (let i = 0; i < 15; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(scratch.stats.total, 0.5);
+});
+
+test("a peer's stamps start the reveal and hold off the re-ink like local input", () => {
+    const { canvas, phases, scratch } = setup();
+    let fades = 0, refills = 0;
+    scratch.ink.fade = () => { fades++; };
+    scratch.ink.refill = () => { refills++; };
+    scratch.peerStamp(50, 0, 10);
+    assert.ok(phases.is('scratching'));
+    assert.equal(canvas.stamps.length, 1);
+
+    // A peer stamping in batches every 0.05s for 10s: no fade and no full reset on this copy
+    for (let i = 1; i <= 10 / SIM_STEP; i++) {
+        if (i % 3 === 0) scratch.peerStamp(50, 0, 10);
+        scratch.step(SIM_STEP, frame());
+        scratch.flushFade();
+    }
+    assert.equal(fades, 0);
+    assert.equal(refills, 0);
+
+    // Once the peer stops, this copy re-inks as usual
+    for (let i = 0; i < 30; i++) {
+        scratch.step(SIM_STEP, frame());
+        scratch.flushFade();
+    }
+    assert.ok(fades > 0);
+});
+
+test("a peer's strokes alone can reveal the text", () => {
+    const { canvas, phases, scratch, reveals } = setup();
+    canvas.alpha = scratched(100);
+    for (let i = 0; i < 5; i++) {
+        scratch.peerStamp(50, 0, 10);
+        scratch.step(SIM_STEP, frame());
+    }
+    assert.ok(phases.is('revealed-fade'));
+    assert.equal(reveals.length, 1);
+
+    // Stamps arriving after the reveal are ignored
+    const stamps = canvas.stamps.length;
+    scratch.peerStamp(50, 0, 10);
+    assert.equal(canvas.stamps.length, stamps);
+});
+
+test("the idle full reset waits for the ink's own fade to finish", () => {
+    const { scratch } = setup();
+    let refills = 0;
+    scratch.ink.refill = () => { refills++; };
+    scratch.ink.fadeDelay = 3000;
+    scratch.ink.fadeDuration = 4500;
+    scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    for (let i = 0; i < 7 / SIM_STEP; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(refills, 0);
+    for (let i = 0; i < 1 / SIM_STEP; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(refills, 1);
+});
+
+test('the re-ink fade owed by several steps runs in one pass', () => {
+    const { scratch } = setup();
+    const passes = [];
+    scratch.ink.fade = (dt, now) => passes.push([dt, now]);
+    scratch.step(SIM_STEP, frame({ axis: { x: 1, y: 0 }, active: true }));
+    assert.equal(scratch.flushFade(), false); // Nothing owed while erasing
+    for (let i = 0; i < 3; i++) scratch.step(SIM_STEP, frame());
+    assert.equal(passes.length, 0);
+    assert.equal(scratch.flushFade(), true);
+    assert.equal(passes.length, 1);
+    assert.ok(Math.abs(passes[0][0] - 3 * SIM_STEP) < 1e-9);
+    assert.equal(passes[0][1], scratch.now());
+    assert.equal(scratch.flushFade(), false);
+});
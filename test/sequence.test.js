@@ -0,0 +1,98 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { RevealSequence, FADE_OUT, RISE_DELAY, RISE_RATE, EXIT_DELAY } from '../src/sequence.js';
+import { PhaseMachine } from '../src/phases.js';
+
+const DT = 1 / 60;
+const RISEN = RISE_DELAY + 1 / RISE_RATE; // Seconds from the reveal until the text has risen
+
+// A sequence starting right at the reveal
+function revealed(overrides = {}) {
+    const afterReveal = { action: 'redirect', url: 'https://example.com/', album: null, countdown: 5, cancellable: true, ...overrides };
+    const phases = new PhaseMachine({ initial: 'revealed-fade' });
+    return new RevealSequence(afterReveal, phases);
+}
+
+// Run until a step matches, returning the elapsed time and that step
+function runUntil(sequence, match, limit = 30) {
+    for (let t = DT; t < limit; t += DT) {
+        const step = sequence.update(DT);
+        if (match(step)) return { t, step };
+    }
+    assert.fail('never happened');
+}
+
+const near = (actual, expected) => assert.ok(Math.abs(actual - expected) <= 2 * DT, `${actual} is not about ${expected}`);
+
+test('does nothing before the reveal', () => {
+    const sequence = new RevealSequence({ action: 'grid' }, new PhaseMachine());
+    const step = sequence.update(1);
+    assert.equal(step.inkFade, null);
+    assert.equal(sequence.playerOpacity, 1);
+});
+
+test('fades the player out over FADE_OUT seconds', () => {
+    const sequence = revealed();
+    assert.equal(sequence.playerOpacity, 1);
+    const { t } = runUntil(sequence, () => sequence.playerOpacity === 0);
+    near(t, FADE_OUT);
+});
+
+test('the text starts rising RISE_DELAY into the fade', () => {
+    const sequence = revealed();
+    const { t } = runUntil(sequence, (step) => step.rise !== null);
+    near(t, RISE_DELAY);
+    assert.ok(sequence.phases.is('text-rise'));
+});
+
+test('orbits through the countdown, then exits and redirects a second later', () => {
+    const sequence = revealed();
+    const phases = sequence.phases;
+    const orbit = runUntil(sequence, () => phases.is('orbit'));
+    near(orbit.t, RISEN);
+    assert.ok(Math.abs(orbit.step.orbit.speedMultiplier - 0.5) < 0.01);
+
+    const exit = runUntil(sequence, () => phases.is('exit'));
+    near(orbit.t + exit.t, RISEN + 5);
+    assert.equal(exit.step.orbit, null);
+    assert.equal(exit.step.redirect, false);
+
+    const redirect = runUntil(sequence, (step) => step.redirect);
+    near(orbit.t + exit.t + redirect.t, RISEN + 5 + EXIT_DELAY);
+});
+
+test('the redirect can be cancelled only during the orbit', () => {
+    const sequence = revealed();
+    assert.equal(sequence.canCancel(), false); // Nothing to cancel before the text has risen
+    runUntil(sequence, () => sequence.phases.is('orbit'));
+    assert.equal(sequence.canCancel(), true);
+
+    // The page settles on the grid, after which the sequence only finishes fading
+    sequence.phases.go('album-grid');
+    const step = sequence.update(DT);
+    assert.equal(step.orbit, null);
+    assert.equal(step.redirect, false);
+    assert.equal(sequence.canCancel(), false);
+});
+
+test('cannot be cancelled when afterReveal.cancellable is false', () => {
+    const sequence = revealed({ cancellable: false });
+    runUntil(sequence, () => sequence.phases.is('orbit'));
+    assert.equal(sequence.canCancel(), false);
+});
+
+test('asks to settle as soon as the text has risen when not redirecting', () => {
+    const grid = runUntil(revealed({ action: 'grid' }), (step) => step.settle);
+    near(grid.t, RISEN);
+    assert.deepEqual(grid.step.settle, { slug: null });
+
+    const album = runUntil(revealed({ action: 'album', album: 'filthy-rich' }), (step) => step.settle);
+    assert.deepEqual(album.step.settle, { slug: 'filthy-rich' });
+});
+
+test('skip() jumps to the risen, faded state', () => {
+    const sequence = revealed({ action: 'grid' });
+    sequence.skip();
+    assert.equal(sequence.playerOpacity, 0);
+    assert.equal(sequence.risen, true);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { FakeCanvas } from './fake-canvas.js';
+import { DEFAULT_CONFIG } from '../src/config.js';
+import { layoutText, textBounds, wordBoxes, buildRevealMask, measureReveal } from '../src/text.js';
+
+// The fake context is monospaced: every character is 0.6 of the font size wide
+const ctx = new FakeCanvas().getContext('2d');
+const phrase = (lines, extra = {}) => ({ ...DEFAULT_CONFIG.phrase, lines, ...extra });
+
+test('sizes the phrase from the shorter screen side and centers its lines', () => {
+    const layout = layoutText(ctx, phrase(['AB', 'CD']), { w: 1000, h: 500 });
+    assert.equal(layout.fontSize, 110);
+    assert.deepEqual(layout.lines.map((line) => line.text), ['AB', 'CD']);
+    assert.equal(layout.lines[0].offsetY, -layout.lineHeight / 2);
+    assert.equal(layout.lines[1].offsetY, layout.lineHeight / 2);
+    assert.deepEqual(textBounds(layout, { w: 1000, h: 500 }), {
+        x: 500 - layout.width / 2, y: 250 - layout.height / 2, w: layout.width, h: layout.height
+    });
+});
+
+test('wraps words that pass the width and shrinks words that still do not fit', () => {
+    const narrow = { w: 400, h: 800 };
+    const wrapped = layoutText(ctx, phrase(['CURSE OF THE DOOM']), narrow);
+    assert.deepEqual(wrapped.lines.map((line) => line.text), ['CURSE', 'OF THE', 'DOOM']);
+    assert.ok(wrapped.width <= narrow.w * DEFAULT_CONFIG.phrase.maxWidth);
+
+    const long = layoutText(ctx, phrase(['FNGRNCTRFNGRNCTR']), narrow);
+    assert.equal(long.lines.length, 1);
+    assert.ok(long.fontSize < Math.floor(narrow.w * DEFAULT_CONFIG.phrase.scale));
+    assert.ok(long.width <= narrow.w * DEFAULT_CONFIG.phrase.maxWidth);
+});
+
+test('word boxes follow the words onto their lines', () => {
+    const size = { w: 400, h: 800 };
+    const layout = layoutText(ctx, phrase(['CURSE OF THE DOOM']), size);
+    const boxes = wordBoxes(layout, size, ctx);
+    assert.equal(boxes.length, 4);
+    // OF and THE share the second line, a space apart
+    const line = layout.lines[1];
+    assert.equal(boxes[1].x, 200 - line.width / 2);
+    assert.equal(boxes[2].x, boxes[1].x + ctx.measureText('OF ').width);
+    assert.equal(boxes[2].w, ctx.measureText('THE').width);
+    const tops = layout.lines.map((l) => 400 + l.offsetY - layout.lineHeight / 2);
+    assert.deepEqual(boxes.map((box) => box.y), [tops[0], tops[1], tops[1], tops[2]]);
+});
+
+test('the reveal mask covers the glyph pixels, tagged by letter', () => {
+    const size = { w: 200, h: 100, dpr: 1 };
+    const layout = layoutText(ctx, phrase(['AB', 'C']), size);
+    const ink = new FakeCanvas(size.w, size.h);
+    const bounds = textBounds(layout, size);
+    // Glyph pixels: the left half of every line's box (so A and C, not B)
+    const mask = buildRevealMask(layout, size, ink, () => {
+        const canvas = new FakeCanvas();
+        canvas.alpha = (x) => (x < canvas.width / 2 ? 255 : 0);
+        return canvas;
+    });
+    assert.equal(mask.x, Math.floor(bounds.x));
+    assert.equal(mask.y, Math.floor(bounds.y));
+    assert.deepEqual(mask.letters.map((letter) => letter.char), ['A', 'B', 'C']);
+    assert.ok(mask.letters[0].count > 0 && mask.letters[2].count > 0);
+    assert.equal(mask.letters[1].count, 0);
+    assert.equal(mask.indices.length, mask.letters[0].count + mask.letters[2].count);
+
+    // Scratch off everything above the middle: A is revealed, C isn't, and B has nothing to reveal
+    ink.alpha = (x, y) => (y < size.h / 2 ? 0 : 255);
+    const stats = measureReveal(mask, ink.getContext('2d'));
+    assert.deepEqual(stats.letters.map((letter) => letter.progress), [1, 1, 0]);
+    assert.equal(stats.total, mask.letters[0].count / mask.indices.length);
+});
+
+test('there is no mask for a phrase entirely off screen', () => {
+    const layout = layoutText(ctx, phrase(['AB']), { w: 200, h: 100 });
+    assert.equal(buildRevealMask(layout, { w: 200, h: 100, dpr: 1 }, new FakeCanvas(0, 0), () => new FakeCanvas()), null);
+    assert.deepEqual(measureReveal(null, ctx), { total: 0, letters: [] });
+});
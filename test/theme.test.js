@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { THEMES, parseHexColor, resolveTheme, isLightTheme, hexDigits } from '../src/theme.js';
+import { loadConfig } from '../src/config.js';
+
+test('parses short and long hex colors', () => {
+    assert.deepEqual(parseHexColor('#fff'), [255, 255, 255]);
+    assert.deepEqual(parseHexColor(' #14040A '), [20, 4, 10]);
+    assert.equal(parseHexColor('red'), null);
+    assert.equal(parseHexColor('#ffff'), null);
+    assert.equal(hexDigits('#f0a'), 'ff00aa');
+});
+
+test('resolves names and overrides, falling back on invalid values', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    assert.deepEqual(resolveTheme('light'), THEMES.light);
+    assert.equal(resolveTheme(null, THEMES.ruby), THEMES.ruby);
+    const album = resolveTheme({ extends: 'ruby', accent: '#ffd24a', text: 'pink', player: null }, THEMES.dark);
+    assert.deepEqual(album, { ...THEMES.ruby, accent: '#ffd24a', player: null });
+    // Without "extends", overrides apply to the base (the visitor's theme)
+    assert.equal(resolveTheme({ accent: '#0f0' }, THEMES.light).background, THEMES.light.background);
+    assert.equal(resolveTheme('nope', THEMES.neon), THEMES.neon);
+    assert.equal(errors.mock.callCount(), 2);
+});
+
+test('tells light backgrounds from dark ones', () => {
+    assert.ok(isLightTheme(THEMES.light));
+    assert.ok(!isLightTheme(THEMES.dark));
+    assert.ok(!isLightTheme(THEMES.ruby));
+});
+
+test('config picks a theme by name, object or query string', (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    assert.equal(loadConfig().theme, 'dark');
+    assert.equal(loadConfig({ search: '?theme=neon' }).theme, 'neon');
+    const custom = loadConfig({ overrides: { theme: { background: '#222', ink: '#222' } } });
+    assert.equal(custom.theme, 'custom');
+    assert.equal(custom.themes.custom.background, '#222');
+    const named = loadConfig({ overrides: { themes: { gig: { extends: 'light', accent: '#c00' } } }, search: '?theme=gig' });
+    assert.deepEqual(named.themes.gig, { ...THEMES.light, accent: '#c00' });
+    assert.equal(loadConfig({ search: '?theme=bogus' }).theme, 'dark');
+    assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,141 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDuration, formatDuration, playbackProgress, TrackQueue } from '../src/tracks.js';
+import { TrackPlayer } from '../src/track-player.js';
+import { FakeDocument, FakeAudioElement } from './fake-dom.js';
+
+const track = (name, audio = null, duration = '3:00') => ({ name, url: `https://example.com/${name}`, duration, audio });
+const ALBUMS = [
+    { slug: 'first', title: 'First', tracks: [track('a', 'audio/a.mp3'), track('b'), track('c', 'audio/c.mp3')] },
+    { slug: 'silent', title: 'Silent', tracks: [track('d')] },
+    { slug: 'second', title: 'Second', tracks: [track('e', 'audio/e.mp3')] }
+];
+
+test('parses and formats durations', () => {
+    assert.equal(parseDuration('3:21'), 201);
+    assert.equal(parseDuration('12:05'), 725);
+    assert.equal(formatDuration(201), '3:21');
+    assert.equal(formatDuration(3725), '1:02:05');
+});
+
+test('progress is measured against the listed duration', () => {
+    assert.equal(playbackProgress(track('a'), 90), 0.5);
+    assert.equal(playbackProgress(track('a'), 400), 1);
+    assert.equal(playbackProgress(track('a'), -1), 0);
+    assert.equal(playbackProgress(track('a', null, '0:00'), 10), 0);
+});
+
+test('queues only tracks with an audio source, in catalog order', () => {
+    const queue = new TrackQueue(ALBUMS);
+    assert.deepEqual(queue.entries.map((entry) => [entry.album.slug, entry.track.name, entry.number]),
+        [['first', 'a', 1], ['first', 'c', 3], ['second', 'e', 1]]);
+    assert.equal(queue.current, null);
+    assert.ok(queue.hasTracks('first'));
+    assert.ok(!queue.hasTracks('silent'));
+});
+
+test('next runs on into the following album and stops at the end', () => {
+    const queue = new TrackQueue(ALBUMS);
+    assert.equal(queue.select(queue.indexOf('first', 3)).track.name, 'c');
+    assert.equal(queue.next().album.slug, 'second');
+    assert.equal(queue.next(), null);
+    assert.equal(queue.current.track.name, 'e');
+    assert.equal(queue.previous().track.name, 'c');
+    queue.select(0);
+    assert.equal(queue.previous(), null);
+});
+
+test('keeps the current track when the catalog is replaced', () => {
+    const queue = new TrackQueue(ALBUMS);
+    queue.select(2);
+    queue.setAlbums([ALBUMS[2], ALBUMS[0]]);
+    assert.equal(queue.index, 0);
+    assert.equal(queue.current.track.name, 'e');
+    queue.setAlbums([ALBUMS[0]]);
+    assert.equal(queue.current, null);
+});
+
+test('two tracks with the same audio source stay apart', () => {
+    const album = { slug: 'live', title: 'Live', tracks: [track('intro', 'audio/set.mp3'), track('encore', 'audio/set.mp3')] };
+    const queue = new TrackQueue([album]);
+    assert.equal(queue.select(queue.indexOf('live', 2)).track.name, 'encore');
+    queue.setAlbums([album]);
+    assert.equal(queue.current.track.name, 'encore');
+});
+
+function setupPlayer() {
+    const root = new FakeDocument().createElement('div');
+    const audio = new FakeAudioElement();
+    const changes = [];
+    const player = new TrackPlayer(root, {
+        queue: new TrackQueue(ALBUMS),
+        audio,
+        resolve: (src) => `https://mirror.example/${src}`,
+        onChange: (entry) => changes.push(entry && entry.track.name)
+    });
+    return { root, audio, player, changes };
+}
+
+test('the player stays hidden until a track is picked, then plays it', () => {
+    const { root, audio, player, changes } = setupPlayer();
+    assert.ok(root.classList.contains('hidden'));
+    assert.ok(player.playTrack('first', 3));
+    assert.equal(audio.src, 'https://mirror.example/audio/c.mp3');
+    assert.ok(player.playing);
+    assert.ok(!root.classList.contains('hidden'));
+    assert.equal(player.title.textContent, 'c — First');
+    assert.equal(changes.at(-1), 'c');
+    assert.equal(player.playTrack('first', 2), false); // No audio source
+});
+
+test('previous restarts a track played past a few seconds, else goes back one', () => {
+    const { audio, player } = setupPlayer();
+    player.playTrack('first', 3);
+    audio.currentTime = 10;
+    player.previous();
+    assert.equal(player.queue.current.track.name, 'c');
+    assert.equal(audio.currentTime, 0);
+
+    audio.currentTime = 2;
+    player.previous();
+    assert.equal(player.queue.current.track.name, 'a');
+    assert.equal(audio.src, 'https://mirror.example/audio/a.mp3');
+
+    // The first track only restarts
+    audio.currentTime = 2;
+    player.previous();
+    assert.equal(player.queue.current.track.name, 'a');
+    assert.equal(audio.currentTime, 0);
+});
+
+test('seeking is measured against the listed duration', () => {
+    const { audio, player } = setupPlayer();
+    player.seek(0.5);
+    assert.equal(audio.currentTime, 0); // Nothing picked yet
+    player.playTrack('first', 1);
+    player.seek(0.5);
+    assert.equal(audio.currentTime, 90);
+    assert.equal(player.bar.getAttribute('aria-valuenow'), '50');
+    assert.equal(player.time.textContent, '1:30 / 3:00');
+    player.seek(2);
+    assert.equal(audio.currentTime, 180);
+
+    // Clicking the bar seeks to where it was clicked
+    player.bar.rect = { left: 100, top: 0, width: 200, height: 8 };
+    player.bar.dispatch('click', { clientX: 150 });
+    assert.equal(audio.currentTime, 45);
+});
+
+test('the end of a track plays on into the next album and stops at the end of the catalog', () => {
+    const { audio, player } = setupPlayer();
+    player.playTrack('first', 3);
+    audio.dispatch('ended');
+    assert.equal(player.queue.current.album.slug, 'second');
+    assert.ok(player.playing);
+    assert.ok(player.nextButton.disabled);
+
+    audio.dispatch('ended');
+    assert.equal(player.queue.current.track.name, 'e');
+    assert.ok(audio.paused);
+    assert.equal(player.playButton.getAttribute('aria-label'), 'Play');
+});